@@ -0,0 +1,31 @@
+const redisService = require('../services/redisService');
+const cartAbandonmentService = require('../services/cartAbandonmentService');
+
+const BATCH_SIZE = 100;
+
+// Check carts left idle past the first abandonment threshold: each is
+// recorded as abandoned once per idle spell, and its owner gets a recovery
+// reminder at each threshold. Returns the number of reminders sent.
+const detectAbandonedCarts = async () => {
+  const now = Date.now();
+  const carts = await redisService.getIdleCarts(cartAbandonmentService.getDueBefore(now), BATCH_SIZE);
+  let detected = 0;
+  let reminded = 0;
+
+  for (const { cartId } of carts) {
+    try {
+      const result = await cartAbandonmentService.checkCart(cartId, now);
+      if (result && result.detected) detected++;
+      if (result && result.reminded) reminded++;
+    } catch (error) {
+      console.error(`Check abandoned cart ${cartId} error:`, error);
+    }
+  }
+
+  if (detected > 0 || reminded > 0) {
+    console.log(`🛒 Recorded ${detected} abandoned cart(s), sent ${reminded} reminder(s)`);
+  }
+  return reminded;
+};
+
+module.exports = detectAbandonedCarts;
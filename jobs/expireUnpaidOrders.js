@@ -0,0 +1,64 @@
+const Order = require('../models/Order');
+const orderLifecycleService = require('../services/orderLifecycleService');
+const paymentService = require('../services/paymentService');
+const { httpError } = require('../utils/httpError');
+
+const ORDER_PAYMENT_TIMEOUT_MINUTES = parseInt(process.env.ORDER_PAYMENT_TIMEOUT_MINUTES) || 60;
+const BATCH_SIZE = 100;
+
+// Payment states in which an order holds stock without having been paid
+const UNPAID_STATES = ['pending', 'failed'];
+
+// Cancel orders left unpaid past the timeout. Cancelling goes through the
+// order state machine as a system transition, so items are restocked and
+// promotions released exactly as PUT /api/orders/:id/cancel does. Returns the
+// number of orders cancelled.
+const expireUnpaidOrders = async () => {
+  const cutoff = new Date(Date.now() - ORDER_PAYMENT_TIMEOUT_MINUTES * 60 * 1000);
+  const reason = `Payment not received within ${ORDER_PAYMENT_TIMEOUT_MINUTES} minutes`;
+  let expired = 0;
+
+  const orders = await Order.find({
+    orderStatus: { $in: ['pending', 'confirmed'] },
+    paymentStatus: { $in: UNPAID_STATES },
+    paymentMethod: { $nin: paymentService.getOfflineMethods() },
+    createdAt: { $lt: cutoff }
+  })
+    .sort({ createdAt: 1 })
+    .limit(BATCH_SIZE)
+    .select('_id orderNumber');
+
+  for (const { _id, orderNumber } of orders) {
+    try {
+      const order = await orderLifecycleService.transition(
+        _id,
+        { orderStatus: 'cancelled' },
+        null,
+        {
+          note: reason,
+          // Re-checked in the transaction: a payment may have landed since
+          update: (current) => {
+            if (!UNPAID_STATES.includes(current.paymentStatus)) {
+              throw httpError(409, `Order ${orderNumber} is ${current.paymentStatus}`);
+            }
+          }
+        }
+      );
+
+      // A failed release is flagged on the order for reconcile-payments
+      await paymentService.releaseCancelledOrder(order);
+      expired++;
+    } catch (error) {
+      // Paid, cancelled or otherwise moved on since the query
+      if (error.status === 409) continue;
+      console.error(`Expire unpaid order ${orderNumber} error:`, error);
+    }
+  }
+
+  if (expired > 0) {
+    console.log(`⏰ Cancelled ${expired} unpaid order(s) older than ${ORDER_PAYMENT_TIMEOUT_MINUTES} minutes`);
+  }
+  return expired;
+};
+
+module.exports = expireUnpaidOrders;
@@ -0,0 +1,25 @@
+const { schedule } = require('./scheduler');
+const expireUnpaidOrders = require('./expireUnpaidOrders');
+const detectAbandonedCarts = require('./detectAbandonedCarts');
+const reconcilePayments = require('./reconcilePayments');
+
+const ORDER_EXPIRY_INTERVAL_SECONDS = parseInt(process.env.ORDER_EXPIRY_INTERVAL_SECONDS) || 300;
+const CART_ABANDONMENT_INTERVAL_SECONDS = parseInt(process.env.CART_ABANDONMENT_INTERVAL_SECONDS) || 300;
+const PAYMENT_RECONCILE_INTERVAL_SECONDS = parseInt(process.env.PAYMENT_RECONCILE_INTERVAL_SECONDS) || 300;
+
+// Start the background jobs. Every instance schedules them; a Redis lock
+// makes sure each run happens on one instance only.
+const startJobs = () => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    console.log('⏸️  Background jobs disabled');
+    return;
+  }
+
+  schedule('expire-unpaid-orders', ORDER_EXPIRY_INTERVAL_SECONDS, expireUnpaidOrders);
+  schedule('detect-abandoned-carts', CART_ABANDONMENT_INTERVAL_SECONDS, detectAbandonedCarts);
+  schedule('reconcile-payments', PAYMENT_RECONCILE_INTERVAL_SECONDS, reconcilePayments);
+};
+
+module.exports = {
+  startJobs
+};
@@ -0,0 +1,85 @@
+const Order = require('../models/Order');
+const paymentService = require('../services/paymentService');
+
+const RECONCILE_GRACE_MINUTES = parseInt(process.env.RECONCILE_GRACE_MINUTES) || 5;
+const BATCH_SIZE = 100;
+
+// Record refunds the provider made whose recording failed. Their holds stay
+// in payment.pendingRefunds, marked refundedAt, so nothing is refunded twice;
+// each is settled into order.refunds once it is older than the grace period,
+// which leaves the request that made it time to record it first.
+const settleRefunds = async (cutoff) => {
+  let settled = 0;
+
+  const orders = await Order.find({
+    'payment.pendingRefunds.refundedAt': { $lt: cutoff }
+  })
+    .limit(BATCH_SIZE)
+    .select('_id orderNumber payment.pendingRefunds');
+
+  for (const { _id, orderNumber, payment } of orders) {
+    for (const hold of payment.pendingRefunds) {
+      if (!hold.refundedAt || hold.refundedAt >= cutoff) continue;
+
+      try {
+        await paymentService.settlePendingRefund(_id, hold._id);
+        settled++;
+      } catch (error) {
+        // Recorded since the query
+        if (error.status === 409) continue;
+        console.error(`Reconcile refund ${hold.reference} for order ${orderNumber} error:`, error);
+      }
+    }
+  }
+
+  return settled;
+};
+
+// Retry voiding or refunding the payments of cancelled orders where that
+// failed, flagged in payment.pendingRelease
+const retryReleases = async () => {
+  let released = 0;
+
+  const orders = await Order.find({
+    orderStatus: 'cancelled',
+    'payment.pendingRelease.action': { $exists: true }
+  })
+    .sort({ 'payment.pendingRelease.since': 1 })
+    .limit(BATCH_SIZE)
+    .select('_id orderNumber');
+
+  for (const { _id, orderNumber } of orders) {
+    try {
+      await paymentService.retryPendingRelease(_id);
+      released++;
+    } catch (error) {
+      // Released since the query
+      if (error.status === 409) continue;
+      // Flagged again with the new error; retried on the next run
+      if (error.status === 402) continue;
+      console.error(`Release payment for cancelled order ${orderNumber} error:`, error);
+    }
+  }
+
+  return released;
+};
+
+// Finish payment work that requests left undone. Returns the number of
+// refunds recorded and payments released.
+const reconcilePayments = async () => {
+  const cutoff = new Date(Date.now() - RECONCILE_GRACE_MINUTES * 60 * 1000);
+
+  const settled = await settleRefunds(cutoff);
+  if (settled > 0) {
+    console.log(`🧾 Recorded ${settled} refund(s) left unrecorded`);
+  }
+
+  const released = await retryReleases();
+  if (released > 0) {
+    console.log(`↩️  Released the payment of ${released} cancelled order(s)`);
+  }
+
+  return settled + released;
+};
+
+module.exports = reconcilePayments;
@@ -0,0 +1,43 @@
+const redisService = require('../services/redisService');
+
+// Run `work` on at most one server instance at a time. The lock outlives a
+// crashed holder by at most `lockSeconds`. Returns false if another
+// instance holds the lock.
+const runExclusive = async (name, lockSeconds, work) => {
+  const token = await redisService.acquireLock(`job:${name}`, lockSeconds);
+  if (!token) return false;
+
+  try {
+    await work();
+    return true;
+  } finally {
+    await redisService.releaseLock(`job:${name}`, token);
+  }
+};
+
+// Run a job every `intervalSeconds` on whichever instance takes its lock
+// first. Runs never overlap; errors are logged and the next run goes ahead.
+const schedule = (name, intervalSeconds, work) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runExclusive(name, intervalSeconds, work);
+    } catch (error) {
+      console.error(`Job ${name} error:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalSeconds * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runExclusive,
+  schedule
+};
@@ -135,6 +135,31 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Cart routes are open to guests: a signed-in shopper's cart is keyed by
+// their user ID, a guest's by their session ID (merged on login)
+const cartOwner = (req, res, next) => {
+  optionalAuth(req, res, () => {
+    if (req.user) {
+      req.cartId = req.user._id.toString();
+      return next();
+    }
+
+    if (!req.session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. No token provided.'
+      });
+    }
+
+    // Sessions are only stored once modified, so flag the session on writes
+    // to give the guest a cookie that finds their cart again
+    if (req.method !== 'GET') req.session.hasGuestCart = true;
+
+    req.cartId = `guest:${req.sessionID}`;
+    next();
+  });
+};
+
 // Generate JWT token
 const generateToken = (userId) => {
   return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
@@ -143,7 +168,7 @@ const generateToken = (userId) => {
 };
 
 // Send token response
-const sendTokenResponse = (user, statusCode, res) => {
+const sendTokenResponse = (user, statusCode, res, extra = {}) => {
   const token = generateToken(user._id);
 
   const options = {
@@ -163,7 +188,8 @@ const sendTokenResponse = (user, statusCode, res) => {
         name: user.name,
         email: user.email,
         role: user.role
-      }
+      },
+      ...extra
     });
 };
 
@@ -171,6 +197,7 @@ module.exports = {
   protect,
   authorize,
   optionalAuth,
+  cartOwner,
   generateToken,
   sendTokenResponse
 };
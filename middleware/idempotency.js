@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const redisService = require('../services/redisService');
+
+// How long a completed response is replayed for, and how long a request in
+// flight holds its key (so a crashed request does not lock it forever)
+const IDEMPOTENCY_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60;
+const IDEMPOTENCY_LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60;
+const MAX_KEY_LENGTH = 255;
+
+// Same method, path and body give the same fingerprint
+const fingerprint = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+};
+
+// Honour an optional Idempotency-Key header on mutating requests. The first
+// response for a key is stored and replayed for retries with the same
+// payload; server errors are not stored so the request can be retried.
+// Must run after protect (or cartOwner), since keys are scoped per user, or
+// per session for guests.
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key cannot exceed ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  try {
+    const owner = req.user ? req.user._id : `guest:${req.sessionID}`;
+    const scopedKey = `${owner}:${key}`;
+    const hash = fingerprint(req);
+
+    const claimed = await redisService.claimIdempotencyKey(scopedKey, {
+      state: 'processing',
+      fingerprint: hash
+    }, IDEMPOTENCY_LOCK_SECONDS);
+
+    // Without Redis requests go through unprotected rather than failing
+    if (claimed === null) return next();
+
+    if (!claimed) {
+      const record = await redisService.getIdempotencyRecord(scopedKey);
+
+      if (record && record.fingerprint !== hash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key was already used with a different request'
+        });
+      }
+
+      // A key that expired between the claim and the read is treated as in
+      // flight; the client's next retry claims it
+      if (!record || record.state === 'processing') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.statusCode).json(record.body);
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const stored = res.statusCode >= 500
+        ? redisService.releaseIdempotencyKey(scopedKey)
+        : redisService.saveIdempotencyRecord(scopedKey, {
+          state: 'completed',
+          fingerprint: hash,
+          statusCode: res.statusCode,
+          body
+        }, IDEMPOTENCY_TTL_SECONDS);
+
+      // Store before replying so an immediate retry sees the response
+      stored.finally(() => json(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  idempotent
+};
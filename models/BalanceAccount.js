@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { BASE_CURRENCY } = require('../utils/money');
+
+// Something that holds a spendable balance: a gift card (found by its code)
+// or a customer's store credit (one per user and currency). The balance is
+// kept in step with the account's ledger entries.
+const balanceAccountSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['gift_card', 'store_credit'],
+    required: true
+  },
+  code: {
+    type: String, // Gift cards only
+    uppercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Store credit owner, or the customer who bought a gift card
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: BASE_CURRENCY
+  },
+  balance: {
+    type: Number,
+    min: [0, 'Balance cannot be negative'],
+    default: 0
+  },
+  initialAmount: Number, // Gift cards only
+  expiresAt: Date,
+  recipientEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order' // Order a gift card was bought with
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+balanceAccountSchema.index({ code: 1 }, { unique: true, sparse: true });
+balanceAccountSchema.index(
+  { user: 1, currency: 1 },
+  { unique: true, partialFilterExpression: { type: 'store_credit' } }
+);
+
+module.exports = mongoose.model('BalanceAccount', balanceAccountSchema);
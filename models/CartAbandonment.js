@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// A cart left idle past the first abandonment threshold. One event per idle
+// spell: `lastActivityAt` is the cart's last change, so the same cart going
+// idle again after the shopper came back is a new event. createdAt is when
+// the abandonment was detected.
+const cartAbandonmentSchema = new mongoose.Schema({
+  cartId: {
+    type: String,
+    required: true
+  },
+  // Empty for guest carts, which have no one to remind
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastActivityAt: {
+    type: Date,
+    required: true
+  },
+  items: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    name: String,
+    quantity: Number,
+    price: Number         // Base price when added to the cart
+  }],
+  // Base currency
+  value: {
+    type: Number,
+    default: 0
+  },
+  // open: still idle; returned: the shopper came back to the cart;
+  // recovered: the shopper checked out afterwards
+  status: {
+    type: String,
+    enum: ['open', 'returned', 'recovered'],
+    default: 'open'
+  },
+  // Number of idle thresholds passed, i.e. reminders due
+  stage: {
+    type: Number,
+    default: 0
+  },
+  recoveryToken: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  notifications: [{
+    _id: false,
+    stage: Number,
+    transport: String,
+    messageId: String,
+    error: String,
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  restoredAt: Date,
+  recoveredAt: Date,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // Order total in the base currency
+  recoveredValue: Number
+}, {
+  timestamps: true
+});
+
+cartAbandonmentSchema.index({ cartId: 1, lastActivityAt: 1 }, { unique: true });
+cartAbandonmentSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model('CartAbandonment', cartAbandonmentSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Named monotonic counters for document numbers: a number is never handed
+// out twice, though a rolled-back caller can leave a gap
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String, // Counter name, e.g. 'invoice'
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Next value of a counter. Inside a transaction the increment rolls back with
+// it, so numbers are only used up by documents that are committed.
+counterSchema.statics.next = async function(name, session) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
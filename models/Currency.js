@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A currency prices can be shown and orders placed in. `rate` is how many
+// units of this currency one unit of the base currency buys.
+const currencySchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Currency code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency code must be an ISO 4217 code, e.g. EUR']
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Exchange rate is required'],
+    min: [0.000001, 'Exchange rate must be positive']
+  },
+  decimals: {
+    type: Number,
+    min: 0,
+    max: 3,
+    default: 2
+  },
+  // Applied to converted prices: e.g. increment 0.05 for CHF, or 1 with
+  // mode 'up' for whole-yen prices (0 = the smallest unit)
+  rounding: {
+    increment: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    mode: {
+      type: String,
+      enum: ['nearest', 'up', 'down'],
+      default: 'nearest'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Currency', currencySchema);
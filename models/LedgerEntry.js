@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// One movement on a balance account. Entries are never changed or removed;
+// mistakes are corrected with a new entry.
+const ledgerEntrySchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BalanceAccount',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be positive']
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: [
+      'issue',      // Gift card issued by an admin
+      'purchase',   // Gift card bought in an order
+      'redemption', // Spent on an order
+      'reversal',   // Redemption given back when its order was cancelled
+      'revocation', // Gift card taken back when the order that bought it was cancelled
+      'refund',     // Order refunded to store credit
+      'adjustment'  // Manual correction by an admin
+    ],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  return: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Return'
+  },
+  note: String,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Empty for system entries
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ledgerEntrySchema.index({ account: 1, createdAt: -1 });
+ledgerEntrySchema.index({ order: 1 });
+
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries cannot be changed'));
+  }
+  next();
+});
+
+ledgerEntrySchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], function(next) {
+  next(new Error('Ledger entries cannot be changed'));
+});
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
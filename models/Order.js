@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const sequenceService = require('../services/sequenceService');
+const { BASE_CURRENCY, roundMoney } = require('../utils/money');
 
 const orderSchema = new mongoose.Schema({
   user: {
@@ -28,7 +30,9 @@ const orderSchema = new mongoose.Schema({
       min: 0
     },
     name: String, // Store product name at time of order
-    image: String // Store product image at time of order
+    image: String, // Store product image at time of order
+    isGiftCard: Boolean, // Issued as gift cards once the order is paid
+    discount: Number // The line's share of the promotion discounts
   }],
   shippingAddress: {
     street: {
@@ -62,19 +66,173 @@ const orderSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['credit_card', 'debit_card', 'paypal', 'stripe', 'cash_on_delivery'],
+    enum: ['credit_card', 'debit_card', 'paypal', 'stripe', 'cash_on_delivery', 'gift_card', 'store_credit'],
     required: true
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'authorized', 'paid', 'failed', 'voided', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
+  payment: {
+    provider: String,
+    transactionId: String, // Provider's reference for the authorization
+    amountAuthorized: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    amountCaptured: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    amountRefunded: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Refunds held while the provider is called, so concurrent refunds
+    // cannot together exceed what was paid. A hold with refundedAt was
+    // refunded by the provider but not recorded yet.
+    pendingRefunds: [{
+      amount: Number,
+      method: String,
+      return: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Return'
+      },
+      reason: String,
+      actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reference: String,
+      refundedAt: Date,
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Set when giving back a cancelled order's payment failed, until a retry
+    // goes through. `late` marks a payment that landed after the order was
+    // cancelled, given back for `amount` without touching paymentStatus.
+    pendingRelease: {
+      action: {
+        type: String,
+        enum: ['void', 'refund']
+      },
+      amount: Number,
+      late: Boolean,
+      message: String,
+      since: Date
+    },
+    transactions: [{
+      type: {
+        type: String,
+        enum: ['authorize', 'capture', 'void', 'refund', 'webhook'],
+        required: true
+      },
+      status: String, // Provider result, e.g. 'authorized', 'declined'
+      amount: Number,
+      reference: String,
+      message: String,
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  // Parts of the total paid from gift cards and store credit at checkout;
+  // the payment method covers the rest
+  balancePayments: [{
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BalanceAccount',
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['gift_card', 'store_credit'],
+      required: true
+    },
+    code: String, // Masked gift card code
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    refunded: {
+      type: Number, // Given back to the account on cancellation
+      default: 0,
+      min: 0
+    },
+    ledgerEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerEntry'
+    }
+  }],
+  balanceApplied: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Gift cards bought with this order, issued when it is paid
+  giftCards: [{
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BalanceAccount'
+    },
+    code: String,
+    amount: Number
+  }],
   orderStatus: {
     type: String,
-    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
+    enum: ['pending', 'confirmed', 'processing', 'partially_shipped', 'shipped', 'delivered', 'cancelled'],
     default: 'pending'
   },
+  // Numbered when the invoice is first issued
+  invoice: {
+    number: String,
+    issuedAt: Date
+  },
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    reason: String,
+    return: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Return'
+    },
+    method: {
+      type: String,
+      enum: ['original', 'store_credit'],
+      default: 'original'
+    },
+    reference: String, // Provider refund reference, 'manual' for offline payments, ledger entry for store credit
+    creditNoteNumber: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Currency every amount on the order is in, with the exchange rate from
+  // the base currency frozen when the order was placed
+  currency: {
+    code: {
+      type: String,
+      uppercase: true,
+      default: BASE_CURRENCY
+    },
+    rate: {
+      type: Number,
+      min: 0.000001,
+      default: 1
+    }
+  },
   subtotal: {
     type: Number,
     required: true,
@@ -85,16 +243,58 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // One entry per tax jurisdiction applied to the order
+  taxBreakdown: [{
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TaxRule'
+    },
+    name: String,
+    country: String,
+    state: String,
+    zipPrefix: String,
+    rate: Number,
+    taxableAmount: Number,
+    amount: Number
+  }],
   shippingCost: {
     type: Number,
     default: 0,
     min: 0
   },
+  shippingMethod: {
+    code: String,
+    name: String,
+    carrier: String,
+    zone: String,
+    billableWeight: Number, // kg
+    estimatedDays: {
+      min: Number,
+      max: Number
+    }
+  },
   discount: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Promotions that produced `discount`, with the amount each contributed
+  promotions: [{
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    code: String,
+    name: String,
+    type: {
+      type: String
+    },
+    amount: {
+      type: Number,
+      min: 0
+    }
+  }],
+  // Priced and rounded to the currency by the order service when placed
   total: {
     type: Number,
     required: true,
@@ -108,6 +308,49 @@ const orderSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Parcels the order ships in, each covering some quantity of some lines.
+  // orderStatus rolls up from them.
+  shipments: [{
+    items: [{
+      orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+      },
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      name: String,
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1
+      }
+    }],
+    status: {
+      type: String,
+      enum: ['pending', 'shipped', 'delivered', 'cancelled'],
+      default: 'pending'
+    },
+    carrier: {
+      type: String,
+      trim: true
+    },
+    trackingNumber: {
+      type: String,
+      trim: true
+    },
+    shippedAt: Date,
+    deliveredAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   estimatedDelivery: {
     type: Date
   },
@@ -120,7 +363,36 @@ const orderSchema = new mongoose.Schema({
   cancellationReason: {
     type: String,
     maxlength: [200, 'Cancellation reason cannot exceed 200 characters']
-  }
+  },
+  statusHistory: [{
+    field: {
+      type: String,
+      enum: ['orderStatus', 'paymentStatus'],
+      required: true
+    },
+    from: String, // Empty for the initial state
+    to: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actorRole: {
+      type: String,
+      enum: ['owner', 'admin', 'system'],
+      required: true
+    },
+    note: {
+      type: String,
+      maxlength: [500, 'Status note cannot exceed 500 characters']
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -130,20 +402,27 @@ orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ orderStatus: 1 });
 orderSchema.index({ paymentStatus: 1 });
+orderSchema.index({ createdAt: -1 });
+orderSchema.index({ total: 1 });
+orderSchema.index({ trackingNumber: 1 }, { sparse: true });
+orderSchema.index({ 'shipments.trackingNumber': 1 }, { sparse: true });
+orderSchema.index({ 'items.product': 1 });
+orderSchema.index({ 'payment.transactionId': 1 }, { sparse: true });
+orderSchema.index({ 'invoice.number': 1 }, { unique: true, sparse: true });
 
-// Generate order number before saving
-orderSchema.pre('save', async function(next) {
+// Generate order number before validation, which runs ahead of save hooks.
+// The counter is bumped outside the order's transaction so concurrent
+// checkouts don't conflict on it; a rolled-back order leaves a gap.
+orderSchema.pre('validate', async function(next) {
   if (!this.orderNumber) {
-    const count = await mongoose.model('Order').countDocuments();
-    this.orderNumber = `ORD-${Date.now()}-${(count + 1).toString().padStart(4, '0')}`;
+    this.orderNumber = await sequenceService.next('order');
   }
   next();
 });
 
-// Calculate total before saving
-orderSchema.pre('save', function(next) {
-  this.total = this.subtotal + this.tax + this.shippingCost - this.discount;
-  next();
+// What the payment method has to cover after gift cards and store credit
+orderSchema.virtual('amountDue').get(function() {
+  return roundMoney(this.total - (this.balanceApplied || 0));
 });
 
 // Virtual for order summary
@@ -21,6 +21,23 @@ const productSchema = new mongoose.Schema({
     type: Number,
     min: [0, 'Original price cannot be negative']
   },
+  // Fixed prices in other currencies. `price` is in the base currency and is
+  // converted at the current rate for currencies not listed here.
+  prices: [{
+    _id: false,
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Currency must be an ISO 4217 code, e.g. EUR']
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Price cannot be negative']
+    }
+  }],
   category: {
     type: String,
     required: [true, 'Category is required'],
@@ -98,6 +115,11 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Sold as gift cards worth the price paid, issued once the order is paid
+  isGiftCard: {
+    type: Boolean,
+    default: false
+  },
   weight: {
     type: Number,
     min: 0
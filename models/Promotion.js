@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const promotionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promotion code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Promotion code cannot exceed 30 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [100, 'Promotion name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Promotion type is required'],
+    enum: ['percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y']
+  },
+  // Percent off for 'percentage', amount off for 'fixed_amount'
+  value: {
+    type: Number,
+    min: [0, 'Value cannot be negative'],
+    default: 0
+  },
+  // Cap on the discount a 'percentage' promotion can give
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // 'buy_x_get_y': buy `buyQuantity` eligible units, get the next
+  // `getQuantity` cheapest ones `getDiscountPercent` off
+  buyQuantity: {
+    type: Number,
+    min: [1, 'Buy quantity must be at least 1']
+  },
+  getQuantity: {
+    type: Number,
+    min: [1, 'Get quantity must be at least 1']
+  },
+  getDiscountPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 100
+  },
+  // Limit the promotion to some categories and/or products (empty = all)
+  categories: [{
+    type: String,
+    enum: ['electronics', 'clothing', 'books', 'home', 'sports', 'beauty', 'toys', 'other']
+  }],
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  minSubtotal: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  usageLimit: {
+    type: Number, // Total redemptions across all users (empty = unlimited)
+    min: 1
+  },
+  usageLimitPerUser: {
+    type: Number, // Empty = unlimited
+    min: 1
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Whether the code can be used together with other codes
+  combinable: {
+    type: Boolean,
+    default: false
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  endsAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+promotionSchema.pre('validate', function(next) {
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate('buyQuantity', 'Buy X get Y promotions need buyQuantity and getQuantity');
+  }
+  if (this.type === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage cannot exceed 100');
+  }
+  if (this.endsAt && this.startsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after the start date');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Promotion', promotionSchema);
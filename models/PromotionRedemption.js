@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One row per promotion used on an order, for per-user usage limits
+const promotionRedemptionSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  code: String,
+  amount: {
+    type: Number,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+promotionRedemptionSchema.index({ promotion: 1, user: 1 });
+promotionRedemptionSchema.index({ order: 1 });
+
+module.exports = mongoose.model('PromotionRedemption', promotionRedemptionSchema);
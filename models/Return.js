@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const sequenceService = require('../services/sequenceService');
+
+const returnSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [{
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId, // _id of the line in order.items
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    name: String,
+    price: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    reason: {
+      type: String,
+      enum: ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'],
+      default: 'other'
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunding', 'refunded'],
+    default: 'requested'
+  },
+  customerNote: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  refundAmount: {
+    type: Number,
+    min: 0
+  },
+  approvedAt: Date,
+  rejectedAt: Date,
+  receivedAt: Date,
+  refundedAt: Date,
+  statusHistory: [{
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      maxlength: [500, 'Status note cannot exceed 500 characters']
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+returnSchema.index({ order: 1 });
+returnSchema.index({ user: 1, createdAt: -1 });
+returnSchema.index({ status: 1, createdAt: -1 });
+
+// Generate RMA number before validation, which runs ahead of save hooks
+returnSchema.pre('validate', async function(next) {
+  if (!this.rmaNumber) {
+    this.rmaNumber = await sequenceService.next('return');
+  }
+  next();
+});
+
+// Value of the returned goods
+returnSchema.virtual('itemsValue').get(function() {
+  return this.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+});
+
+module.exports = mongoose.model('Return', returnSchema);
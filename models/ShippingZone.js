@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// A region we ship to and the methods offered there. Weights are in kg and
+// dimensions in cm, matching Product.weight and Product.dimensions.
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    maxlength: [100, 'Zone name cannot exceed 100 characters']
+  },
+  countries: {
+    type: [{ type: String, uppercase: true, trim: true }],
+    validate: [list => list.length > 0, 'A zone needs at least one country']
+  },
+  states: [{ type: String, uppercase: true, trim: true }], // Empty = all states
+  zipPrefixes: [{ type: String, trim: true }], // Empty = all zip codes
+  methods: [{
+    code: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true // e.g. 'standard', 'express'
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    carrier: String,
+    // Weight tiers, matched on the first tier whose maxWeight covers the
+    // billable weight
+    rates: [{
+      maxWeight: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      price: {
+        type: Number,
+        required: true,
+        min: 0
+      }
+    }],
+    // Charged per kg beyond the heaviest tier (empty = method unavailable)
+    additionalPerKg: {
+      type: Number,
+      min: 0
+    },
+    // cm³ per kg used to turn volume into dimensional weight
+    dimDivisor: {
+      type: Number,
+      min: 1,
+      default: 5000
+    },
+    freeShippingThreshold: {
+      type: Number, // Order subtotal from which this method is free
+      min: 0
+    },
+    minDays: Number,
+    maxDays: Number,
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+shippingZoneSchema.index({ countries: 1, isActive: 1 });
+
+// How closely this zone matches an address (-1 = not at all). The most
+// specific matching zone wins.
+shippingZoneSchema.methods.matchScore = function(address) {
+  const country = (address.country || 'US').trim().toUpperCase();
+  const state = (address.state || '').trim().toUpperCase();
+  const zipCode = (address.zipCode || '').trim();
+
+  if (!this.countries.includes(country)) return -1;
+  if (this.states.length > 0 && !this.states.includes(state)) return -1;
+
+  let score = this.states.length > 0 ? 1 : 0;
+
+  if (this.zipPrefixes.length > 0) {
+    const prefix = this.zipPrefixes.find(zip => zipCode.startsWith(zip));
+    if (!prefix) return -1;
+    score += 1 + prefix.length;
+  }
+
+  return score;
+};
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// A tax jurisdiction. Every active rule matching the shipping address applies,
+// so country, state and local (zip prefix) rates add up.
+const taxRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tax rule name is required'],
+    trim: true,
+    maxlength: [100, 'Tax rule name cannot exceed 100 characters']
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    uppercase: true,
+    trim: true
+  },
+  state: {
+    type: String, // Empty = whole country
+    uppercase: true,
+    trim: true
+  },
+  zipPrefix: {
+    type: String, // Empty = whole state/country
+    trim: true
+  },
+  rate: {
+    type: Number, // Fraction, e.g. 0.0725 for 7.25%
+    required: [true, 'Tax rate is required'],
+    min: [0, 'Tax rate cannot be negative'],
+    max: [1, 'Tax rate cannot exceed 100%']
+  },
+  // Per-category rates replacing `rate`, e.g. { category: 'books', rate: 0 }
+  categoryRates: [{
+    category: {
+      type: String,
+      required: true,
+      enum: ['electronics', 'clothing', 'books', 'home', 'sports', 'beauty', 'toys', 'other']
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: [0, 'Tax rate cannot be negative'],
+      max: [1, 'Tax rate cannot exceed 100%']
+    }
+  }],
+  taxShipping: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+taxRuleSchema.index({ country: 1, state: 1, zipPrefix: 1 });
+
+// Does this rule cover the given address?
+taxRuleSchema.methods.matches = function(address) {
+  const state = (address.state || '').trim().toUpperCase();
+  const zipCode = (address.zipCode || '').trim();
+
+  if (this.state && this.state !== state) return false;
+  if (this.zipPrefix && !zipCode.startsWith(this.zipPrefix)) return false;
+  return true;
+};
+
+// Rate for a product category under this rule
+taxRuleSchema.methods.rateFor = function(category) {
+  const override = this.categoryRates.find(entry => entry.category === category);
+  return override ? override.rate : this.rate;
+};
+
+module.exports = mongoose.model('TaxRule', taxRuleSchema);
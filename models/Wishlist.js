@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A named list of products a customer wants to keep for later. Private lists
+// are only visible to their owner; shared lists can be read by anyone with
+// the share link.
+const wishlistSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Wishlist name is required'],
+    trim: true,
+    maxlength: [100, 'Wishlist name cannot exceed 100 characters']
+  },
+  // Where save-for-later puts items when no list is given
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  visibility: {
+    type: String,
+    enum: ['private', 'shared'],
+    default: 'private'
+  },
+  // Set while the list is shared; a new token is issued each time it is
+  // shared again, so old links stop working
+  shareToken: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  items: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    note: {
+      type: String,
+      maxlength: [200, 'Note cannot exceed 200 characters']
+    },
+    // Price in the base currency when added, to show drops
+    priceWhenAdded: Number,
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+wishlistSchema.index({ user: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
@@ -0,0 +1,143 @@
+const express = require('express');
+const { protect, authorize } = require('../middleware/auth');
+const analyticsService = require('../services/analyticsService');
+const { sendHttpError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// All reports take from, to and interval (day, week or month) query
+// parameters; refresh=true bypasses the cache
+
+// @desc    Revenue, order count and average order value over time
+// @route   GET /api/analytics/sales
+// @access  Private/Admin
+router.get('/sales', protect, authorize('admin'), async (req, res) => {
+  try {
+    const report = await analyticsService.getSales(req.query, { refresh: req.query.refresh === 'true' });
+
+    res.status(200).json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
+    console.error('Sales analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Units sold and revenue per product
+// @route   GET /api/analytics/products
+// @access  Private/Admin
+router.get('/products', protect, authorize('admin'), async (req, res) => {
+  try {
+    const report = await analyticsService.getProducts(req.query, { refresh: req.query.refresh === 'true' });
+
+    res.status(200).json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
+    console.error('Product analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Units sold and revenue per category over time
+// @route   GET /api/analytics/categories
+// @access  Private/Admin
+router.get('/categories', protect, authorize('admin'), async (req, res) => {
+  try {
+    const report = await analyticsService.getCategories(req.query, { refresh: req.query.refresh === 'true' });
+
+    res.status(200).json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
+    console.error('Category analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Refund rate by order date
+// @route   GET /api/analytics/refunds
+// @access  Private/Admin
+router.get('/refunds', protect, authorize('admin'), async (req, res) => {
+  try {
+    const report = await analyticsService.getRefunds(req.query, { refresh: req.query.refresh === 'true' });
+
+    res.status(200).json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
+    console.error('Refund analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    New versus returning customers over time
+// @route   GET /api/analytics/customers
+// @access  Private/Admin
+router.get('/customers', protect, authorize('admin'), async (req, res) => {
+  try {
+    const report = await analyticsService.getCustomers(req.query, { refresh: req.query.refresh === 'true' });
+
+    res.status(200).json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
+    console.error('Customer analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Abandoned carts, reminders and recovery rates over time
+// @route   GET /api/analytics/cart-abandonment
+// @access  Private/Admin
+router.get('/cart-abandonment', protect, authorize('admin'), async (req, res) => {
+  try {
+    const report = await analyticsService.getCartAbandonment(req.query, { refresh: req.query.refresh === 'true' });
+
+    res.status(200).json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
+    console.error('Cart abandonment analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
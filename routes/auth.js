@@ -3,9 +3,25 @@ const { protect, sendTokenResponse } = require('../middleware/auth');
 const User = require('../models/User');
 const redisService = require('../services/redisService');
 const neo4jService = require('../services/neo4jService');
+const cartService = require('../services/cartService');
 
 const router = express.Router();
 
+// Merge the guest cart of this session into the user's cart; a failed merge
+// leaves the guest cart alone rather than failing the login
+const mergeGuestCart = async (req, user) => {
+  if (!req.session) return null;
+
+  try {
+    const cartMerge = await cartService.mergeGuestCart(req.sessionID, user._id.toString());
+    delete req.session.hasGuestCart;
+    return cartMerge;
+  } catch (error) {
+    console.error('Guest cart merge error:', error);
+    return null;
+  }
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -41,7 +57,9 @@ router.post('/register', async (req, res) => {
       // Don't fail registration if Neo4j fails
     }
 
-    sendTokenResponse(user, 201, res);
+    const cartMerge = await mergeGuestCart(req, user);
+
+    sendTokenResponse(user, 201, res, cartMerge ? { cartMerge } : {});
   } catch (error) {
     console.error('Registration error:', error);
     res.status(500).json({
@@ -97,7 +115,9 @@ router.post('/login', async (req, res) => {
     // Cache user data
     await redisService.cacheUser(user._id.toString(), user);
 
-    sendTokenResponse(user, 200, res);
+    const cartMerge = await mergeGuestCart(req, user);
+
+    sendTokenResponse(user, 200, res, cartMerge ? { cartMerge } : {});
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
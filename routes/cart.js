@@ -1,64 +1,145 @@
 const express = require('express');
-const { protect } = require('../middleware/auth');
+const { cartOwner } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const Product = require('../models/Product');
 const redisService = require('../services/redisService');
+const reservationService = require('../services/reservationService');
+const promotionService = require('../services/promotionService');
+const currencyService = require('../services/currencyService');
+const cartService = require('../services/cartService');
+const cartAbandonmentService = require('../services/cartAbandonmentService');
+const { sendHttpError } = require('../utils/httpError');
 
 const router = express.Router();
 
+// Cart writes need Redis; without it there is nowhere to keep the cart
+const sendCartUnavailable = (res) => {
+  return res.status(503).json({
+    success: false,
+    message: 'Cart is temporarily unavailable'
+  });
+};
+
+// Guests never hold a checkout reservation
+const getReservationId = async (req) => {
+  return req.user ? await reservationService.getUserReservationId(req.user._id.toString()) : null;
+};
+
+// Price a stored cart against the catalog for the promotion engine
+const getPricingLines = async (cart, currency) => {
+  const products = await Product.find({
+    _id: { $in: cart.items.map(item => item.product) },
+    isActive: true
+  }).select('price prices category');
+
+  return cart.items.map(cartItem => {
+    const product = products.find(p => p._id.toString() === cartItem.product);
+    if (!product) return null;
+
+    return {
+      product: product._id,
+      category: product.category,
+      price: currencyService.priceOf(product, currency),
+      quantity: cartItem.quantity
+    };
+  }).filter(line => line !== null);
+};
+
 // @desc    Get user's cart
 // @route   GET /api/cart
-// @access  Private
-router.get('/', protect, async (req, res) => {
+// @access  Public (guests by session)
+router.get('/', cartOwner, async (req, res) => {
   try {
-    const cart = await redisService.getCart(req.user._id.toString());
+    const currency = await currencyService.fromRequest(req);
+    const cart = await redisService.getCart(req.cartId);
     
     if (!cart || !cart.items || cart.items.length === 0) {
       return res.status(200).json({
         success: true,
         data: {
+          currency: currency.code,
           items: [],
           total: 0,
+          discount: 0,
+          promotions: [],
+          notices: [],
           itemCount: 0
         }
       });
     }
 
-    // Get full product details for cart items
+    // Get full product details for cart items, including products taken off
+    // the catalog so the shopper can be told about them
     const productIds = cart.items.map(item => item.product);
-    const products = await Product.find({
-      _id: { $in: productIds },
-      isActive: true
-    }).select('name price images stock');
-
-    // Merge cart items with product details
+    const allProducts = await Product.find({
+      _id: { $in: productIds }
+    }).select('name price prices images stock category isActive');
+    const products = allProducts.filter(product => product.isActive);
+
+    // Show stock net of other shoppers' checkout holds
+    const reservationId = await getReservationId(req);
+    const availableStock = await reservationService.getAvailableStockMap(products, reservationId);
+
+    // Merge cart items with product details, noting what changed since each
+    // was added
+    const notices = [];
     const cartItems = cart.items.map(cartItem => {
-      const product = products.find(p => p._id.toString() === cartItem.product);
-      if (!product) return null;
+      const product = allProducts.find(p => p._id.toString() === cartItem.product);
+      const lineNotices = cartService.getLineNotices(cartItem, product, availableStock[cartItem.product], currency);
+      notices.push(...lineNotices.map(notice => ({
+        product: cartItem.product,
+        name: product ? product.name : undefined,
+        ...notice
+      })));
 
+      if (!product || !product.isActive) return null;
+
+      const price = currencyService.priceOf(product, currency);
       return {
         product: product._id,
         name: product.name,
-        price: product.price,
+        price,
         image: product.images[0]?.url || '',
         quantity: cartItem.quantity,
-        stock: product.stock,
-        subtotal: product.price * cartItem.quantity
+        stock: availableStock[cartItem.product],
+        subtotal: currencyService.roundAmount(price * cartItem.quantity, currency),
+        notices: lineNotices
       };
     }).filter(item => item !== null);
 
     // Calculate totals
-    const total = cartItems.reduce((sum, item) => sum + item.subtotal, 0);
+    const total = currencyService.roundAmount(cartItems.reduce((sum, item) => sum + item.subtotal, 0), currency);
     const itemCount = cartItems.reduce((sum, item) => sum + item.quantity, 0);
 
+    // Apply the cart's promotion codes (shipping is only known at checkout)
+    const lines = cartItems.map(item => ({
+      product: item.product,
+      category: products.find(p => p._id.equals(item.product)).category,
+      price: item.price,
+      quantity: item.quantity
+    }));
+    const promotions = await promotionService.evaluate(cart.coupons, {
+      userId: req.user?._id,
+      lines,
+      rate: currency.rate
+    });
+
     res.status(200).json({
       success: true,
       data: {
+        currency: currency.code,
         items: cartItems,
         total,
+        discount: promotions.itemDiscount,
+        promotions: promotions.applied,
+        rejectedCoupons: promotions.rejected,
+        notices,
         itemCount
       }
     });
   } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
     console.error('Get cart error:', error);
     res.status(500).json({
       success: false,
@@ -69,8 +150,8 @@ router.get('/', protect, async (req, res) => {
 
 // @desc    Add item to cart
 // @route   POST /api/cart/add
-// @access  Private
-router.post('/add', protect, async (req, res) => {
+// @access  Public (guests by session)
+router.post('/add', cartOwner, idempotent, async (req, res) => {
   try {
     const { productId, quantity = 1 } = req.body;
 
@@ -81,6 +162,13 @@ router.post('/add', protect, async (req, res) => {
       });
     }
 
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a positive whole number'
+      });
+    }
+
     // Check if product exists and is active
     const product = await Product.findById(productId);
     if (!product || !product.isActive) {
@@ -90,53 +178,34 @@ router.post('/add', protect, async (req, res) => {
       });
     }
 
-    // Check stock availability
-    if (product.stock < quantity) {
+    // Check stock availability, net of other shoppers' checkout holds
+    const reservationId = await getReservationId(req);
+    const availableStock = await reservationService.getAvailableStock(product, reservationId);
+
+    if (availableStock < quantity) {
       return res.status(400).json({
         success: false,
         message: 'Insufficient stock available'
       });
     }
 
-    // Get current cart
-    let cart = await redisService.getCart(req.user._id.toString());
-    if (!cart) {
-      cart = { items: [] };
-    }
+    // Add atomically, so the stock check covers what another request just
+    // added to the same line
+    const result = await redisService.addCartItem(req.cartId, productId, quantity, product.price, availableStock);
+    if (!result) return sendCartUnavailable(res);
 
-    // Check if item already exists in cart
-    const existingItemIndex = cart.items.findIndex(
-      item => item.product === productId
-    );
-
-    if (existingItemIndex > -1) {
-      // Update quantity
-      const newQuantity = cart.items[existingItemIndex].quantity + quantity;
-      
-      if (newQuantity > product.stock) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot add more items than available in stock'
-        });
-      }
-      
-      cart.items[existingItemIndex].quantity = newQuantity;
-    } else {
-      // Add new item
-      cart.items.push({
-        product: productId,
-        quantity: quantity
+    if (result.added === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot add more items than available in stock'
       });
     }
 
-    // Save cart to Redis
-    await redisService.setCart(req.user._id.toString(), cart);
-
     res.status(200).json({
       success: true,
       message: 'Item added to cart successfully',
       data: {
-        itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0)
+        itemCount: result.itemCount
       }
     });
   } catch (error) {
@@ -150,8 +219,8 @@ router.post('/add', protect, async (req, res) => {
 
 // @desc    Update cart item quantity
 // @route   PUT /api/cart/update
-// @access  Private
-router.put('/update', protect, async (req, res) => {
+// @access  Public (guests by session)
+router.put('/update', cartOwner, idempotent, async (req, res) => {
   try {
     const { productId, quantity } = req.body;
 
@@ -162,10 +231,10 @@ router.put('/update', protect, async (req, res) => {
       });
     }
 
-    if (quantity < 0) {
+    if (!Number.isInteger(quantity) || quantity < 0) {
       return res.status(400).json({
         success: false,
-        message: 'Quantity cannot be negative'
+        message: 'Quantity must be a whole number, not negative'
       });
     }
 
@@ -178,48 +247,43 @@ router.put('/update', protect, async (req, res) => {
       });
     }
 
-    // Get current cart
-    const cart = await redisService.getCart(req.user._id.toString());
-    if (!cart || !cart.items) {
+    // Check stock availability, net of other shoppers' checkout holds
+    // (quantity 0 removes the line)
+    let availableStock = 0;
+    if (quantity > 0) {
+      const reservationId = await getReservationId(req);
+      availableStock = await reservationService.getAvailableStock(product, reservationId);
+    }
+
+    const result = await redisService.updateCartItem(req.cartId, productId, quantity, availableStock);
+    if (!result) return sendCartUnavailable(res);
+
+    if (result.status === 'no_cart') {
       return res.status(404).json({
         success: false,
         message: 'Cart not found'
       });
     }
 
-    // Find item in cart
-    const itemIndex = cart.items.findIndex(item => item.product === productId);
-    if (itemIndex === -1) {
+    if (result.status === 'not_in_cart') {
       return res.status(404).json({
         success: false,
         message: 'Item not found in cart'
       });
     }
 
-    if (quantity === 0) {
-      // Remove item from cart
-      cart.items.splice(itemIndex, 1);
-    } else {
-      // Check stock availability
-      if (quantity > product.stock) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot update quantity beyond available stock'
-        });
-      }
-      
-      // Update quantity
-      cart.items[itemIndex].quantity = quantity;
+    if (result.status === 'insufficient_stock') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot update quantity beyond available stock'
+      });
     }
 
-    // Save cart to Redis
-    await redisService.setCart(req.user._id.toString(), cart);
-
     res.status(200).json({
       success: true,
       message: 'Cart updated successfully',
       data: {
-        itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0)
+        itemCount: result.itemCount
       }
     });
   } catch (error) {
@@ -233,39 +297,33 @@ router.put('/update', protect, async (req, res) => {
 
 // @desc    Remove item from cart
 // @route   DELETE /api/cart/remove/:productId
-// @access  Private
-router.delete('/remove/:productId', protect, async (req, res) => {
+// @access  Public (guests by session)
+router.delete('/remove/:productId', cartOwner, idempotent, async (req, res) => {
   try {
     const { productId } = req.params;
 
-    // Get current cart
-    const cart = await redisService.getCart(req.user._id.toString());
-    if (!cart || !cart.items) {
+    const result = await redisService.removeCartItem(req.cartId, productId);
+    if (!result) return sendCartUnavailable(res);
+
+    if (result.status === 'no_cart') {
       return res.status(404).json({
         success: false,
         message: 'Cart not found'
       });
     }
 
-    // Find and remove item
-    const itemIndex = cart.items.findIndex(item => item.product === productId);
-    if (itemIndex === -1) {
+    if (result.status === 'not_in_cart') {
       return res.status(404).json({
         success: false,
         message: 'Item not found in cart'
       });
     }
 
-    cart.items.splice(itemIndex, 1);
-
-    // Save cart to Redis
-    await redisService.setCart(req.user._id.toString(), cart);
-
     res.status(200).json({
       success: true,
       message: 'Item removed from cart successfully',
       data: {
-        itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0)
+        itemCount: result.itemCount
       }
     });
   } catch (error) {
@@ -279,10 +337,10 @@ router.delete('/remove/:productId', protect, async (req, res) => {
 
 // @desc    Clear entire cart
 // @route   DELETE /api/cart/clear
-// @access  Private
-router.delete('/clear', protect, async (req, res) => {
+// @access  Public (guests by session)
+router.delete('/clear', cartOwner, idempotent, async (req, res) => {
   try {
-    await redisService.deleteCart(req.user._id.toString());
+    await redisService.deleteCart(req.cartId);
 
     res.status(200).json({
       success: true,
@@ -297,12 +355,151 @@ router.delete('/clear', protect, async (req, res) => {
   }
 });
 
+// @desc    Apply a promotion code to the cart
+// @route   POST /api/cart/coupons
+// @access  Public (guests by session)
+router.post('/coupons', cartOwner, idempotent, async (req, res) => {
+  try {
+    const [code] = promotionService.normalizeCodes(req.body.code);
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promotion code is required'
+      });
+    }
+
+    const cart = await redisService.getCart(req.cartId);
+    if (!cart || !cart.items || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const currency = await currencyService.fromRequest(req);
+    const coupons = promotionService.normalizeCodes([...(cart.coupons || []), code]);
+    const promotions = await promotionService.evaluate(coupons, {
+      userId: req.user?._id,
+      lines: await getPricingLines(cart, currency),
+      rate: currency.rate
+    });
+
+    const rejected = promotions.rejected.find(entry => entry.code === code);
+    if (rejected) {
+      return res.status(400).json({
+        success: false,
+        message: rejected.reason
+      });
+    }
+
+    const added = await redisService.addCartCoupons(req.cartId, [code]);
+    if (!added) return sendCartUnavailable(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion code applied successfully',
+      data: {
+        currency: currency.code,
+        discount: promotions.itemDiscount,
+        promotions: promotions.applied
+      }
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
+    console.error('Apply coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Remove a promotion code from the cart
+// @route   DELETE /api/cart/coupons/:code
+// @access  Public (guests by session)
+router.delete('/coupons/:code', cartOwner, idempotent, async (req, res) => {
+  try {
+    const [code] = promotionService.normalizeCodes(req.params.code);
+
+    const removed = await redisService.removeCartCoupon(req.cartId, code);
+    if (removed === null) return sendCartUnavailable(res);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion code not applied to cart'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion code removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Acknowledge cart notices, accepting current prices and stock
+// @route   POST /api/cart/notices/acknowledge
+// @access  Public (guests by session)
+router.post('/notices/acknowledge', cartOwner, idempotent, async (req, res) => {
+  try {
+    const reservationId = await getReservationId(req);
+    const itemCount = await cartService.acknowledgeNotices(req.cartId, reservationId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart notices acknowledged',
+      data: { itemCount }
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
+    console.error('Acknowledge cart notices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Restore an abandoned cart from a reminder's link
+// @route   POST /api/cart/restore/:token
+// @access  Public (guests by session)
+router.post('/restore/:token', cartOwner, idempotent, async (req, res) => {
+  try {
+    const reservationId = await getReservationId(req);
+    const result = await cartAbandonmentService.restore(req.params.token, req.cartId, reservationId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cart restored',
+      data: result
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
+    console.error('Restore cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Get cart count
 // @route   GET /api/cart/count
-// @access  Private
-router.get('/count', protect, async (req, res) => {
+// @access  Public (guests by session)
+router.get('/count', cartOwner, async (req, res) => {
   try {
-    const cart = await redisService.getCart(req.user._id.toString());
+    const cart = await redisService.getCart(req.cartId);
     
     const itemCount = cart && cart.items 
       ? cart.items.reduce((sum, item) => sum + item.quantity, 0)
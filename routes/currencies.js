@@ -0,0 +1,158 @@
+const express = require('express');
+const { protect, authorize } = require('../middleware/auth');
+const Currency = require('../models/Currency');
+const currencyService = require('../services/currencyService');
+const { BASE_CURRENCY } = require('../utils/money');
+
+const router = express.Router();
+
+// @desc    Get the currencies prices can be shown in
+// @route   GET /api/currencies
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const currencies = await currencyService.getCurrencies();
+
+    res.status(200).json({
+      success: true,
+      base: BASE_CURRENCY,
+      count: Object.keys(currencies).length,
+      data: Object.values(currencies)
+    });
+  } catch (error) {
+    console.error('Get currencies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get all configured currencies, including inactive ones
+// @route   GET /api/currencies/admin
+// @access  Private/Admin
+router.get('/admin', protect, authorize('admin'), async (req, res) => {
+  try {
+    const currencies = await Currency.find().sort({ code: 1 });
+
+    res.status(200).json({
+      success: true,
+      base: BASE_CURRENCY,
+      count: currencies.length,
+      data: currencies
+    });
+  } catch (error) {
+    console.error('Get currencies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create currency
+// @route   POST /api/currencies
+// @access  Private/Admin
+router.post('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const currency = await Currency.create(req.body);
+    await currencyService.invalidate();
+
+    res.status(201).json({
+      success: true,
+      data: currency
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Currency already exists'
+      });
+    }
+
+    console.error('Create currency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update currency (e.g. its exchange rate)
+// @route   PUT /api/currencies/:code
+// @access  Private/Admin
+router.put('/:code', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { code, ...update } = req.body;
+    const currency = await Currency.findOneAndUpdate(
+      { code: req.params.code.toUpperCase() },
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!currency) {
+      return res.status(404).json({
+        success: false,
+        message: 'Currency not found'
+      });
+    }
+
+    await currencyService.invalidate();
+
+    res.status(200).json({
+      success: true,
+      data: currency
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update currency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete currency
+// @route   DELETE /api/currencies/:code
+// @access  Private/Admin
+router.delete('/:code', protect, authorize('admin'), async (req, res) => {
+  try {
+    const currency = await Currency.findOneAndDelete({ code: req.params.code.toUpperCase() });
+
+    if (!currency) {
+      return res.status(404).json({
+        success: false,
+        message: 'Currency not found'
+      });
+    }
+
+    await currencyService.invalidate();
+
+    res.status(200).json({
+      success: true,
+      message: 'Currency deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete currency error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,266 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { protect, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const BalanceAccount = require('../models/BalanceAccount');
+const balanceService = require('../services/balanceService');
+const currencyService = require('../services/currencyService');
+const { sendHttpError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// Fields admins may change on a gift card; the balance only moves through
+// ledger entries
+const UPDATABLE_FIELDS = ['isActive', 'expiresAt', 'recipientEmail', 'message'];
+
+const findGiftCard = async (id) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return await BalanceAccount.findOne({ _id: id, type: 'gift_card' });
+};
+
+// @desc    Check a gift card's balance
+// @route   GET /api/gift-cards/balance?code=
+// @access  Private
+router.get('/balance', protect, async (req, res) => {
+  try {
+    const card = await BalanceAccount.findOne({
+      type: 'gift_card',
+      code: balanceService.normalizeCode(req.query.code)
+    });
+
+    if (!card || !card.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        code: balanceService.maskCode(card.code),
+        balance: card.balance,
+        currency: card.currency,
+        expiresAt: card.expiresAt,
+        expired: Boolean(card.expiresAt && card.expiresAt < new Date())
+      }
+    });
+  } catch (error) {
+    console.error('Check gift card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get gift cards bought by the current user, with their codes
+// @route   GET /api/gift-cards/mine
+// @access  Private
+router.get('/mine', protect, async (req, res) => {
+  try {
+    const cards = await BalanceAccount.find({ type: 'gift_card', user: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('order', 'orderNumber');
+
+    res.status(200).json({
+      success: true,
+      count: cards.length,
+      data: cards
+    });
+  } catch (error) {
+    console.error('Get my gift cards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get all gift cards
+// @route   GET /api/gift-cards
+// @access  Private/Admin
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const filter = { type: 'gift_card' };
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+    if (typeof req.query.currency === 'string') filter.currency = req.query.currency.toUpperCase();
+    if (typeof req.query.code === 'string') filter.code = balanceService.normalizeCode(req.query.code);
+
+    const [cards, total] = await Promise.all([
+      BalanceAccount.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'name email'),
+      BalanceAccount.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: cards.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      },
+      data: cards
+    });
+  } catch (error) {
+    console.error('Get gift cards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Issue a gift card
+// @route   POST /api/gift-cards
+// @access  Private/Admin
+router.post('/', protect, authorize('admin'), idempotent, async (req, res) => {
+  try {
+    const { amount, expiresAt, recipientEmail, message } = req.body;
+    const currency = await currencyService.getCurrency(req.body.currency);
+
+    const card = await balanceService.runInTransaction(session => balanceService.issueGiftCard({
+      amount,
+      currency: currency.code,
+      expiresAt,
+      recipientEmail,
+      message,
+      actor: req.user._id
+    }, session));
+
+    res.status(201).json({
+      success: true,
+      data: card
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Issue gift card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get a gift card with its ledger
+// @route   GET /api/gift-cards/:id
+// @access  Private/Admin
+router.get('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const card = await findGiftCard(req.params.id);
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found'
+      });
+    }
+
+    const statement = await balanceService.getStatement(card, parseInt(req.query.limit) || 50);
+
+    res.status(200).json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    console.error('Get gift card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update a gift card (deactivate, change expiry or recipient)
+// @route   PUT /api/gift-cards/:id
+// @access  Private/Admin
+router.put('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const update = {};
+    for (const field of UPDATABLE_FIELDS) {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    }
+
+    const card = mongoose.isValidObjectId(req.params.id)
+      ? await BalanceAccount.findOneAndUpdate(
+        { _id: req.params.id, type: 'gift_card' },
+        update,
+        { new: true, runValidators: true }
+      )
+      : null;
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: card
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update gift card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Adjust a gift card balance (positive credits, negative debits)
+// @route   POST /api/gift-cards/:id/adjustments
+// @access  Private/Admin
+router.post('/:id/adjustments', protect, authorize('admin'), idempotent, async (req, res) => {
+  try {
+    const card = await findGiftCard(req.params.id);
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found'
+      });
+    }
+
+    const result = await balanceService.adjust(card._id, req.body.amount, {
+      note: req.body.note,
+      actor: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Adjust gift card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
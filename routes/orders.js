@@ -1,101 +1,197 @@
 const express = require('express');
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const Order = require('../models/Order');
-const Product = require('../models/Product');
 const redisService = require('../services/redisService');
-const neo4jService = require('../services/neo4jService');
+const orderService = require('../services/orderService');
+const currencyService = require('../services/currencyService');
+const orderLifecycleService = require('../services/orderLifecycleService');
+const reservationService = require('../services/reservationService');
+const paymentService = require('../services/paymentService');
+const invoiceService = require('../services/invoiceService');
+const exportService = require('../services/exportService');
+const orderSearchService = require('../services/orderSearchService');
+const fulfillmentService = require('../services/fulfillmentService');
+const { sendHttpError } = require('../utils/httpError');
 
 const router = express.Router();
 
+const DOCUMENT_FORMATS = ['pdf', 'html'];
+const EXPORT_FORMATS = ['csv', 'jsonl'];
+const EXPORT_ROWS = ['order', 'item'];
+
+// Render an invoice, credit note or packing slip in the requested format
+const sendDocument = async (res, document, format) => {
+  const rendered = await invoiceService.render(document, format);
+  const filename = `${document.title.toLowerCase().replace(/\s+/g, '-')}-${document.number}.${rendered.extension}`;
+
+  res.status(200)
+    .set('Content-Type', rendered.contentType)
+    .set('Content-Disposition', `inline; filename="${filename}"`)
+    .send(rendered.body);
+};
+
 // @desc    Create new order
 // @route   POST /api/orders
 // @access  Private
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, idempotent, async (req, res) => {
   try {
-    const { items, shippingAddress, paymentMethod } = req.body;
+    const {
+      items,
+      shippingAddress,
+      billingAddress,
+      shippingMethod,
+      paymentMethod,
+      reservationId,
+      couponCodes,
+      giftCardCodes,
+      useStoreCredit
+    } = req.body;
+
+    // Stock decrements and order creation commit or roll back together
+    const order = await orderService.placeOrder(req.user, {
+      items,
+      shippingAddress,
+      billingAddress,
+      shippingMethod,
+      paymentMethod,
+      reservationId,
+      couponCodes,
+      currency: currencyService.getRequestedCode(req),
+      giftCardCodes,
+      useStoreCredit
+    });
 
-    if (!items || items.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Order must contain at least one item'
-      });
+    // Clear user's cart from Redis
+    await redisService.deleteCart(req.user._id.toString());
+
+    res.status(201).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
     }
 
-    let subtotal = 0;
-    const orderItems = [];
+    console.error('Create order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
 
-    // Process each item
-    for (const item of items) {
-      const product = await Product.findById(item.product);
-      
-      if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: `Product with ID ${item.product} not found`
-        });
-      }
+// @desc    Create order from the user's cart
+// @route   POST /api/orders/checkout
+// @access  Private
+router.post('/checkout', protect, idempotent, async (req, res) => {
+  try {
+    const {
+      shippingAddress,
+      billingAddress,
+      shippingMethod,
+      paymentMethod,
+      reservationId,
+      couponCodes,
+      giftCardCodes,
+      useStoreCredit,
+      acceptChanges
+    } = req.body;
+
+    // Prices and stock are re-checked against the catalog first. Codes
+    // applied to the cart are used unless the request sends its own.
+    const { order, changes } = await orderService.checkoutCart(req.user, {
+      shippingAddress,
+      billingAddress,
+      shippingMethod,
+      paymentMethod,
+      reservationId,
+      couponCodes,
+      currency: currencyService.getRequestedCode(req),
+      giftCardCodes,
+      useStoreCredit,
+      acceptChanges: acceptChanges === true
+    });
 
-      if (product.stock < item.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock for product ${product.name}`
-        });
-      }
+    res.status(201).json({
+      success: true,
+      changes,
+      data: order
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
 
-      const itemTotal = product.price * item.quantity;
-      subtotal += itemTotal;
+    console.error('Checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
 
-      orderItems.push({
-        product: product._id,
-        quantity: item.quantity,
-        price: product.price,
-        name: product.name,
-        image: product.images[0]?.url || ''
-      });
+// @desc    Start checkout by holding stock for a limited time
+// @route   POST /api/orders/reservations
+// @access  Private
+router.post('/reservations', protect, idempotent, async (req, res) => {
+  try {
+    let { items } = req.body;
 
-      // Update product stock
-      product.stock -= item.quantity;
-      await product.save();
-
-      // Track purchase in Neo4j
-      try {
-        await neo4jService.createUserInteraction(
-          req.user._id.toString(),
-          product._id.toString(),
-          'PURCHASED',
-          Date.now()
-        );
-      } catch (neo4jError) {
-        console.error('Neo4j purchase tracking error:', neo4jError);
-      }
+    // Default to the items in the user's cart
+    if (!items) {
+      const cart = await redisService.getCart(req.user._id.toString());
+      items = cart ? cart.items : [];
     }
 
-    // Calculate totals
-    const tax = subtotal * 0.08; // 8% tax
-    const shippingCost = subtotal > 100 ? 0 : 10; // Free shipping over $100
-    const total = subtotal + tax + shippingCost;
+    const reservation = await reservationService.createReservation(
+      req.user._id.toString(),
+      orderService.normalizeItems(items)
+    );
 
-    // Create order
-    const order = await Order.create({
-      user: req.user._id,
-      items: orderItems,
-      shippingAddress,
-      paymentMethod,
-      subtotal,
-      tax,
-      shippingCost,
-      total
+    res.status(201).json({
+      success: true,
+      data: reservation
     });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
 
-    // Clear user's cart from Redis
-    await redisService.deleteCart(req.user._id.toString());
+    console.error('Create reservation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
 
-    res.status(201).json({
+// @desc    Release a checkout reservation
+// @route   DELETE /api/orders/reservations/:reservationId
+// @access  Private
+router.delete('/reservations/:reservationId', protect, idempotent, async (req, res) => {
+  try {
+    const reservation = await reservationService.getReservation(
+      req.params.reservationId,
+      req.user._id.toString()
+    );
+
+    if (!reservation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reservation not found or expired'
+      });
+    }
+
+    await reservationService.releaseReservation(reservation);
+
+    res.status(200).json({
       success: true,
-      data: order
+      message: 'Reservation released successfully'
     });
   } catch (error) {
-    console.error('Create order error:', error);
+    console.error('Release reservation error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -177,12 +273,145 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
+// @desc    Get order invoice (PDF, or HTML with ?format=html)
+// @route   GET /api/orders/:id/invoice
+// @access  Private
+router.get('/:id/invoice', protect, async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+    if (!DOCUMENT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${DOCUMENT_FORMATS.join(', ')}`
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Check if user owns this order or is admin
+    if (!orderLifecycleService.getActorRole(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // The invoice number is assigned the first time the invoice is issued
+    const invoicedOrder = await invoiceService.issueInvoice(order._id);
+
+    await sendDocument(res, invoiceService.buildInvoice(invoicedOrder), format);
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get credit note for a refund (PDF, or HTML with ?format=html)
+// @route   GET /api/orders/:id/credit-notes/:refundId
+// @access  Private
+router.get('/:id/credit-notes/:refundId', protect, async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+    if (!DOCUMENT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${DOCUMENT_FORMATS.join(', ')}`
+      });
+    }
+
+    const order = await Order.findById(req.params.id).populate('user', 'name email');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Check if user owns this order or is admin
+    if (!orderLifecycleService.getActorRole(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const creditNote = await invoiceService.buildCreditNote(order, req.params.refundId);
+
+    await sendDocument(res, creditNote, format);
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Get credit note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get order packing slip (PDF, or HTML with ?format=html)
+// @route   GET /api/orders/:id/packing-slip
+// @access  Private
+router.get('/:id/packing-slip', protect, async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+    if (!DOCUMENT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${DOCUMENT_FORMATS.join(', ')}`
+      });
+    }
+
+    const order = await Order.findById(req.params.id).populate('user', 'name email');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Check if user owns this order or is admin
+    if (!orderLifecycleService.getActorRole(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    await sendDocument(res, invoiceService.buildPackingSlip(order), format);
+  } catch (error) {
+    console.error('Get packing slip error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Update order status
 // @route   PUT /api/orders/:id/status
-// @access  Private/Admin
-router.put('/:id/status', protect, async (req, res) => {
+// @access  Private (transitions are limited by role)
+router.put('/:id/status', protect, idempotent, async (req, res) => {
   try {
-    const { orderStatus, paymentStatus, trackingNumber } = req.body;
+    const { orderStatus, paymentStatus, trackingNumber, note } = req.body;
 
     const order = await Order.findById(req.params.id);
 
@@ -194,35 +423,52 @@ router.put('/:id/status', protect, async (req, res) => {
     }
 
     // Check if user owns this order or is admin
-    if (order.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    const role = orderLifecycleService.getActorRole(order, req.user);
+    if (!role) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
-    // Update order
-    if (orderStatus) order.orderStatus = orderStatus;
-    if (paymentStatus) order.paymentStatus = paymentStatus;
-    if (trackingNumber) order.trackingNumber = trackingNumber;
-
-    // Set delivery date if status is delivered
-    if (orderStatus === 'delivered') {
-      order.deliveredAt = new Date();
+    if (trackingNumber && role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can set the tracking number'
+      });
     }
 
-    // Set cancellation date if status is cancelled
-    if (orderStatus === 'cancelled') {
-      order.cancelledAt = new Date();
+    // Orders fulfilled in parcels take their shipping status from them
+    const hasShipments = order.shipments.some(shipment => shipment.status !== 'cancelled');
+    if (hasShipments && ['shipped', 'delivered'].includes(orderStatus)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This order ships in parcels; update its shipments instead'
+      });
     }
 
-    await order.save();
+    // Transitions are validated against the order state machine
+    const updatedOrder = await orderLifecycleService.transition(
+      order._id,
+      { orderStatus, paymentStatus },
+      req.user,
+      {
+        note,
+        update: (order) => {
+          if (trackingNumber) order.trackingNumber = trackingNumber;
+        }
+      }
+    );
 
     res.status(200).json({
       success: true,
-      data: order
+      data: updatedOrder
     });
   } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
     console.error('Update order status error:', error);
     res.status(500).json({
       success: false,
@@ -231,10 +477,111 @@ router.put('/:id/status', protect, async (req, res) => {
   }
 });
 
+// @desc    Get order shipments
+// @route   GET /api/orders/:id/shipments
+// @access  Private
+router.get('/:id/shipments', protect, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('user orderStatus shipments');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Check if user owns this order or is admin
+    if (!orderLifecycleService.getActorRole(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      orderStatus: order.orderStatus,
+      count: order.shipments.length,
+      data: order.shipments
+    });
+  } catch (error) {
+    console.error('Get shipments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create a shipment for some line items
+// @route   POST /api/orders/:id/shipments
+// @access  Private/Admin
+router.post('/:id/shipments', protect, authorize('admin'), idempotent, async (req, res) => {
+  try {
+    const { items, carrier, trackingNumber } = req.body;
+
+    const { order, shipment } = await fulfillmentService.createShipment(req.params.id, req.user, {
+      items,
+      carrier,
+      trackingNumber
+    });
+
+    res.status(201).json({
+      success: true,
+      orderStatus: order.orderStatus,
+      data: shipment
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Create shipment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Mark a shipment shipped, delivered or cancelled
+// @route   PUT /api/orders/:id/shipments/:shipmentId/status
+// @access  Private/Admin
+router.put('/:id/shipments/:shipmentId/status', protect, authorize('admin'), idempotent, async (req, res) => {
+  try {
+    const { status, carrier, trackingNumber, at, note } = req.body;
+
+    // The order's status rolls up from its shipments in the same transaction
+    const { order, shipment } = await fulfillmentService.updateShipmentStatus(
+      req.params.id,
+      req.params.shipmentId,
+      status,
+      { carrier, trackingNumber, at, note }
+    );
+
+    res.status(200).json({
+      success: true,
+      orderStatus: order.orderStatus,
+      data: shipment
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Update shipment status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Cancel order
 // @route   PUT /api/orders/:id/cancel
 // @access  Private
-router.put('/:id/cancel', protect, async (req, res) => {
+router.put('/:id/cancel', protect, idempotent, async (req, res) => {
   try {
     const { cancellationReason } = req.body;
 
@@ -247,47 +594,68 @@ router.put('/:id/cancel', protect, async (req, res) => {
       });
     }
 
-    // Check if user owns this order
-    if (order.user.toString() !== req.user._id.toString()) {
+    // Check if user owns this order or is admin
+    if (!orderLifecycleService.getActorRole(order, req.user)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
-    // Check if order can be cancelled
-    if (['shipped', 'delivered', 'cancelled'].includes(order.orderStatus)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Order cannot be cancelled at this stage'
-      });
-    }
+    // Restocking happens as part of the 'cancelled' transition
+    const cancelledOrder = await orderLifecycleService.transition(
+      order._id,
+      { orderStatus: 'cancelled' },
+      req.user,
+      { note: cancellationReason }
+    );
 
-    // Restore product stock
-    for (const item of order.items) {
-      const product = await Product.findById(item.product);
-      if (product) {
-        product.stock += item.quantity;
-        await product.save();
-      }
-    }
+    // Void an authorized payment or refund a captured one. A failure is
+    // flagged on the order and retried, and the response says so.
+    const release = await paymentService.releaseCancelledOrder(cancelledOrder);
 
-    // Update order
-    order.orderStatus = 'cancelled';
-    order.cancelledAt = new Date();
-    if (cancellationReason) {
-      order.cancellationReason = cancellationReason;
+    res.status(200).json({
+      success: true,
+      message: release.released
+        ? 'Order cancelled successfully'
+        : 'Order cancelled, but the payment could not be voided or refunded yet; it will be retried',
+      paymentReleased: release.released,
+      data: release.order
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
     }
 
-    await order.save();
+    console.error('Cancel order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Reorder: copy a past order's items into the cart
+// @route   POST /api/orders/:id/reorder
+// @access  Private
+router.post('/:id/reorder', protect, idempotent, async (req, res) => {
+  try {
+    const { lines, itemCount } = await orderService.reorder(req.user, req.params.id);
+    const added = lines.filter(line => line.added > 0).length;
 
     res.status(200).json({
       success: true,
-      message: 'Order cancelled successfully',
-      data: order
+      message: added > 0
+        ? `${added} of ${lines.length} items added to cart`
+        : 'None of the items could be added to cart',
+      data: { lines, itemCount }
     });
   } catch (error) {
-    console.error('Cancel order error:', error);
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Reorder error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -307,35 +675,19 @@ router.get('/admin/all', protect, async (req, res) => {
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-
-    const filter = {};
-    if (req.query.status) filter.orderStatus = req.query.status;
-    if (req.query.paymentStatus) filter.paymentStatus = req.query.paymentStatus;
-
-    const orders = await Order.find(filter)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate('user', 'name email')
-      .populate('items.product', 'name');
-
-    const totalCount = await Order.countDocuments(filter);
+    const { orders, pagination } = await orderSearchService.search(req.query);
 
     res.status(200).json({
       success: true,
       count: orders.length,
-      pagination: {
-        page,
-        limit,
-        total: totalCount,
-        pages: Math.ceil(totalCount / limit)
-      },
+      pagination,
       data: orders
     });
   } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
     console.error('Get all orders error:', error);
     res.status(500).json({
       success: false,
@@ -344,4 +696,62 @@ router.get('/admin/all', protect, async (req, res) => {
   }
 });
 
+// @desc    Export orders as CSV (per order or per line item) or JSON Lines
+// @route   GET /api/orders/admin/export
+// @access  Private/Admin
+router.get('/admin/export', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const format = req.query.format || 'csv';
+    const rows = req.query.rows || 'order';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    if (!EXPORT_ROWS.includes(rows)) {
+      return res.status(400).json({
+        success: false,
+        message: `Rows must be one of: ${EXPORT_ROWS.join(', ')}`
+      });
+    }
+
+    const filter = await orderSearchService.buildFilter(req.query);
+    const filename = `orders-${rows === 'item' ? 'items-' : ''}${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.status(200)
+      .set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8')
+      .set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    await exportService.writeOrders(res, filter, { format, rows });
+    res.end();
+  } catch (error) {
+    // Once streaming has started the status line is gone; cut the
+    // response short so the client sees an incomplete download
+    if (res.headersSent) {
+      console.error('Export orders stream error:', error);
+      return res.destroy(error);
+    }
+
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Export orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
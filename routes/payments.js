@@ -0,0 +1,183 @@
+const express = require('express');
+const { protect, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const Order = require('../models/Order');
+const paymentService = require('../services/paymentService');
+const { sendHttpError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// @desc    Authorize (and optionally capture) payment for an order
+// @route   POST /api/payments/orders/:orderId/authorize
+// @access  Private (order owner or admin)
+router.post('/orders/:orderId/authorize', protect, idempotent, async (req, res) => {
+  try {
+    const existing = await Order.findById(req.params.orderId).select('user');
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Check if user owns this order or is admin
+    if (existing.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const order = await paymentService.authorize(existing._id, {
+      paymentDetails: req.body.paymentDetails,
+      capture: req.body.capture === true
+    });
+
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Authorize payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Capture an authorized payment
+// @route   POST /api/payments/orders/:orderId/capture
+// @access  Private/Admin
+router.post('/orders/:orderId/capture', protect, authorize('admin'), idempotent, async (req, res) => {
+  try {
+    const order = await paymentService.capture(req.params.orderId, req.body.amount);
+
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Capture payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Void an authorized payment
+// @route   POST /api/payments/orders/:orderId/void
+// @access  Private/Admin
+router.post('/orders/:orderId/void', protect, authorize('admin'), idempotent, async (req, res) => {
+  try {
+    const order = await paymentService.void(req.params.orderId);
+
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Void payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Refund a payment, fully or partially, to the payment method or
+//          to store credit (to: 'original' | 'store_credit')
+// @route   POST /api/payments/orders/:orderId/refund
+// @access  Private/Admin
+router.post('/orders/:orderId/refund', protect, authorize('admin'), idempotent, async (req, res) => {
+  try {
+    const order = await paymentService.refund(req.params.orderId, {
+      amount: req.body.amount,
+      reason: req.body.reason,
+      to: req.body.to,
+      user: req.user
+    });
+
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Refund payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Retry voiding or refunding the payment of a cancelled order
+//          after it failed on cancellation
+// @route   POST /api/payments/orders/:orderId/release
+// @access  Private/Admin
+router.post('/orders/:orderId/release', protect, authorize('admin'), idempotent, async (req, res) => {
+  try {
+    const order = await paymentService.retryPendingRelease(req.params.orderId);
+
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Release payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Receive asynchronous payment provider callbacks
+// @route   POST /api/payments/webhooks/:provider
+// @access  Public (signature verified per provider)
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    // Signatures are computed over the exact bytes the provider sent
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body);
+    const result = await paymentService.handleWebhook(req.params.provider, rawBody, req.headers);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,9 @@ const { protect, authorize, optionalAuth } = require('../middleware/auth');
 const Product = require('../models/Product');
 const redisService = require('../services/redisService');
 const neo4jService = require('../services/neo4jService');
+const reservationService = require('../services/reservationService');
+const currencyService = require('../services/currencyService');
+const { sendHttpError } = require('../utils/httpError');
 
 const router = express.Router();
 
@@ -11,6 +14,7 @@ const router = express.Router();
 // @access  Public
 router.get('/', optionalAuth, async (req, res) => {
   try {
+    const currency = await currencyService.fromRequest(req);
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 12;
     const skip = (page - 1) * limit;
@@ -61,16 +65,18 @@ router.get('/', optionalAuth, async (req, res) => {
     const cacheKey = `products:${JSON.stringify({ filter, sort, page, limit })}`;
     let cachedProducts = await redisService.get(cacheKey);
     
-    if (cachedProducts) {
+    if (cachedProducts && Array.isArray(cachedProducts.products)) {
       return res.status(200).json({
         success: true,
-        count: cachedProducts.length,
+        count: cachedProducts.products.length,
+        currency: currency.code,
         pagination: {
           page,
           limit,
-          total: cachedProducts.totalCount
+          total: cachedProducts.totalCount,
+          pages: Math.ceil(cachedProducts.totalCount / limit)
         },
-        data: cachedProducts
+        data: cachedProducts.products.map(product => currencyService.localizeProduct(product, currency))
       });
     }
 
@@ -84,7 +90,7 @@ router.get('/', optionalAuth, async (req, res) => {
     const totalCount = await Product.countDocuments(filter);
 
     // Cache the results
-    await redisService.set(cacheKey, { ...products, totalCount }, 600); // 10 minutes
+    await redisService.set(cacheKey, { products, totalCount }, 600); // 10 minutes
 
     // Track user interaction if authenticated
     if (req.user && req.query.search) {
@@ -103,15 +109,18 @@ router.get('/', optionalAuth, async (req, res) => {
     res.status(200).json({
       success: true,
       count: products.length,
+      currency: currency.code,
       pagination: {
         page,
         limit,
         total: totalCount,
         pages: Math.ceil(totalCount / limit)
       },
-      data: products
+      data: products.map(product => currencyService.localizeProduct(product, currency))
     });
   } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
     console.error('Get products error:', error);
     res.status(500).json({
       success: false,
@@ -125,6 +134,8 @@ router.get('/', optionalAuth, async (req, res) => {
 // @access  Public
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
+    const currency = await currencyService.fromRequest(req);
+
     // Check cache first
     let product = await redisService.getCachedProduct(req.params.id);
     
@@ -143,6 +154,9 @@ router.get('/:id', optionalAuth, async (req, res) => {
       await redisService.cacheProduct(req.params.id, product);
     }
 
+    // Stock net of active checkout holds is never cached
+    const availableStock = await reservationService.getAvailableStock(product);
+
     // Track user view if authenticated
     if (req.user) {
       try {
@@ -159,9 +173,14 @@ router.get('/:id', optionalAuth, async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: product
+      data: {
+        ...currencyService.localizeProduct(product, currency),
+        availableStock
+      }
     });
   } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
     console.error('Get product error:', error);
     res.status(500).json({
       success: false,
@@ -219,6 +238,43 @@ router.get('/:id/recommendations', async (req, res) => {
   }
 });
 
+// @desc    Get active checkout holds on a product
+// @route   GET /api/products/:id/holds
+// @access  Private/Admin
+router.get('/:id/holds', protect, authorize('admin'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('name stock');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const holds = await redisService.getProductHolds(req.params.id);
+    const held = holds.reduce((sum, hold) => sum + hold.quantity, 0);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        product: product._id,
+        name: product.name,
+        stock: product.stock,
+        held,
+        availableStock: Math.max(product.stock - held, 0),
+        holds
+      }
+    });
+  } catch (error) {
+    console.error('Get product holds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Create new product
 // @route   POST /api/products
 // @access  Private/Admin
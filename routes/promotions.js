@@ -0,0 +1,175 @@
+const express = require('express');
+const { protect, authorize } = require('../middleware/auth');
+const Promotion = require('../models/Promotion');
+
+const router = express.Router();
+
+// Report schema validation problems as 400s
+const sendValidationError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    message: error.code === 11000
+      ? 'A promotion with this code already exists'
+      : error.message
+  });
+};
+
+// @desc    Get all promotions
+// @route   GET /api/promotions
+// @access  Private/Admin
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+    if (req.query.code) filter.code = req.query.code.toUpperCase();
+
+    const promotions = await Promotion.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalCount = await Promotion.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: promotions.length,
+      pagination: {
+        page,
+        limit,
+        total: totalCount,
+        pages: Math.ceil(totalCount / limit)
+      },
+      data: promotions
+    });
+  } catch (error) {
+    console.error('Get promotions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get single promotion
+// @route   GET /api/promotions/:id
+// @access  Private/Admin
+router.get('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id).populate('products', 'name');
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: promotion
+    });
+  } catch (error) {
+    console.error('Get promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create new promotion
+// @route   POST /api/promotions
+// @access  Private/Admin
+router.post('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    // usageCount is maintained by redemptions only
+    const { usageCount, ...fields } = req.body;
+
+    const promotion = await Promotion.create(fields);
+
+    res.status(201).json({
+      success: true,
+      data: promotion
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Create promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update promotion
+// @route   PUT /api/promotions/:id
+// @access  Private/Admin
+router.put('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    // Load and save so cross-field validation runs
+    const { usageCount, ...fields } = req.body;
+    promotion.set(fields);
+    await promotion.save();
+
+    res.status(200).json({
+      success: true,
+      data: promotion
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Update promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete promotion
+// @route   DELETE /api/promotions/:id
+// @access  Private/Admin
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndDelete(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,281 @@
+const express = require('express');
+const { protect, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const Order = require('../models/Order');
+const Return = require('../models/Return');
+const returnService = require('../services/returnService');
+const { sendHttpError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// @desc    Request a return for items of a delivered order
+// @route   POST /api/returns
+// @access  Private
+router.post('/', protect, async (req, res) => {
+  try {
+    const { orderId, items, note } = req.body;
+
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Check if user owns this order
+    if (order.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const ret = await returnService.requestReturn(order, req.user, { items, note });
+
+    res.status(201).json({
+      success: true,
+      data: ret
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Request return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get user's returns
+// @route   GET /api/returns
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const returns = await Return.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('order', 'orderNumber');
+
+    const totalCount = await Return.countDocuments({ user: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      count: returns.length,
+      pagination: {
+        page,
+        limit,
+        total: totalCount,
+        pages: Math.ceil(totalCount / limit)
+      },
+      data: returns
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Get returns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get all returns (Admin)
+// @route   GET /api/returns/admin/all
+// @access  Private/Admin
+router.get('/admin/all', protect, authorize('admin'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const returns = await Return.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('user', 'name email')
+      .populate('order', 'orderNumber');
+
+    const totalCount = await Return.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: returns.length,
+      pagination: {
+        page,
+        limit,
+        total: totalCount,
+        pages: Math.ceil(totalCount / limit)
+      },
+      data: returns
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Get all returns error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get single return
+// @route   GET /api/returns/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const ret = await Return.findById(req.params.id)
+      .populate('order', 'orderNumber orderStatus paymentStatus refunds');
+
+    if (!ret) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    // Check if user owns this return or is admin
+    if (ret.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: ret
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Get return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Approve a return request
+// @route   PUT /api/returns/:id/approve
+// @access  Private/Admin
+router.put('/:id/approve', protect, authorize('admin'), async (req, res) => {
+  try {
+    const ret = await returnService.approve(req.params.id, req.user, req.body.note);
+
+    res.status(200).json({
+      success: true,
+      data: ret
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Approve return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Reject a return request
+// @route   PUT /api/returns/:id/reject
+// @access  Private/Admin
+router.put('/:id/reject', protect, authorize('admin'), async (req, res) => {
+  try {
+    const ret = await returnService.reject(req.params.id, req.user, req.body.note);
+
+    res.status(200).json({
+      success: true,
+      data: ret
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Reject return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Mark returned goods as received and restock them
+// @route   PUT /api/returns/:id/receive
+// @access  Private/Admin
+router.put('/:id/receive', protect, authorize('admin'), async (req, res) => {
+  try {
+    const ret = await returnService.receive(req.params.id, req.user, req.body.note);
+
+    res.status(200).json({
+      success: true,
+      data: ret
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Receive return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Refund a received return
+// @route   PUT /api/returns/:id/refund
+// @access  Private/Admin
+router.put('/:id/refund', protect, authorize('admin'), idempotent, async (req, res) => {
+  try {
+    // Defaults to the returned items' value plus their share of tax
+    const result = await returnService.refund(req.params.id, req.user, {
+      amount: req.body.amount,
+      note: req.body.note,
+      to: req.body.to
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Refund return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,219 @@
+const express = require('express');
+const { protect, authorize, cartOwner } = require('../middleware/auth');
+const Product = require('../models/Product');
+const ShippingZone = require('../models/ShippingZone');
+const redisService = require('../services/redisService');
+const shippingService = require('../services/shippingService');
+const currencyService = require('../services/currencyService');
+const { sendHttpError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// @desc    Quote shipping options for some items (or the cart) to an address
+// @route   POST /api/shipping/quote
+// @access  Public (guests by session)
+router.post('/quote', cartOwner, async (req, res) => {
+  try {
+    const { shippingAddress } = req.body;
+    const currency = await currencyService.fromRequest(req);
+    let { items } = req.body;
+
+    if (!shippingAddress || !shippingAddress.country) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shipping address with a country is required'
+      });
+    }
+
+    if (!items) {
+      const cart = await redisService.getCart(req.cartId);
+      items = cart ? cart.items : [];
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'There are no items to ship'
+      });
+    }
+
+    const products = await Product.find({
+      _id: { $in: items.map(item => item.product) },
+      isActive: true
+    }).select('price weight dimensions');
+
+    const lines = items.map(item => {
+      const product = products.find(p => p._id.toString() === String(item.product));
+      if (!product) return null;
+
+      return {
+        product: product._id,
+        price: product.price,
+        quantity: Number(item.quantity) || 1,
+        weight: product.weight,
+        dimensions: product.dimensions
+      };
+    }).filter(line => line !== null);
+
+    const options = await shippingService.quote({ lines, shippingAddress, currency });
+
+    res.status(200).json({
+      success: true,
+      count: options.length,
+      data: options
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
+    console.error('Quote shipping error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get all shipping zones
+// @route   GET /api/shipping/zones
+// @access  Private/Admin
+router.get('/zones', protect, authorize('admin'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.country) filter.countries = req.query.country.toUpperCase();
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const zones = await ShippingZone.find(filter).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: zones.length,
+      data: zones
+    });
+  } catch (error) {
+    console.error('Get shipping zones error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get single shipping zone
+// @route   GET /api/shipping/zones/:id
+// @access  Private/Admin
+router.get('/zones/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: zone
+    });
+  } catch (error) {
+    console.error('Get shipping zone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create shipping zone
+// @route   POST /api/shipping/zones
+// @access  Private/Admin
+router.post('/zones', protect, authorize('admin'), async (req, res) => {
+  try {
+    const zone = await ShippingZone.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: zone
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create shipping zone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update shipping zone
+// @route   PUT /api/shipping/zones/:id
+// @access  Private/Admin
+router.put('/zones/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const zone = await ShippingZone.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: zone
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update shipping zone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete shipping zone
+// @route   DELETE /api/shipping/zones/:id
+// @access  Private/Admin
+router.delete('/zones/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Shipping zone deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete shipping zone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
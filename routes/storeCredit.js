@@ -0,0 +1,102 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { protect, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const BalanceAccount = require('../models/BalanceAccount');
+const User = require('../models/User');
+const balanceService = require('../services/balanceService');
+const currencyService = require('../services/currencyService');
+const { sendHttpError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// A user's store credit accounts, one per currency, with recent entries
+const getStatements = async (userId, limit) => {
+  const accounts = await BalanceAccount.find({ type: 'store_credit', user: userId }).sort({ currency: 1 });
+  return await Promise.all(accounts.map(account => balanceService.getStatement(account, limit)));
+};
+
+// @desc    Get the current user's store credit and its history
+// @route   GET /api/store-credit
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const statements = await getStatements(req.user._id, parseInt(req.query.limit) || 20);
+
+    res.status(200).json({
+      success: true,
+      data: statements
+    });
+  } catch (error) {
+    console.error('Get store credit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get a customer's store credit and its history
+// @route   GET /api/store-credit/users/:userId
+// @access  Private/Admin
+router.get('/users/:userId', protect, authorize('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const statements = await getStatements(req.params.userId, parseInt(req.query.limit) || 50);
+
+    res.status(200).json({
+      success: true,
+      data: statements
+    });
+  } catch (error) {
+    console.error('Get user store credit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Adjust a customer's store credit (positive credits, negative debits)
+// @route   POST /api/store-credit/users/:userId/adjustments
+// @access  Private/Admin
+router.post('/users/:userId/adjustments', protect, authorize('admin'), idempotent, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId) || !(await User.exists({ _id: req.params.userId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const currency = await currencyService.getCurrency(req.body.currency);
+    const account = await balanceService.getStoreCreditAccount(req.params.userId, currency.code);
+    const result = await balanceService.adjust(account._id, req.body.amount, {
+      note: req.body.note,
+      actor: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendHttpError(res, error);
+    }
+
+    console.error('Adjust store credit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const { protect, authorize } = require('../middleware/auth');
+const TaxRule = require('../models/TaxRule');
+const taxService = require('../services/taxService');
+
+const router = express.Router();
+
+// @desc    Get all tax rules
+// @route   GET /api/tax-rules
+// @access  Private/Admin
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.country) filter.country = req.query.country.toUpperCase();
+    if (req.query.state) filter.state = req.query.state.toUpperCase();
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const rules = await TaxRule.find(filter).sort({ country: 1, state: 1, zipPrefix: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Get tax rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Preview the tax for a sample cart and address
+// @route   POST /api/tax-rules/preview
+// @access  Private/Admin
+router.post('/preview', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { lines = [], shippingAddress, shippingCost = 0 } = req.body;
+
+    if (!shippingAddress || !shippingAddress.country) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shipping address with a country is required'
+      });
+    }
+
+    const result = await taxService.calculate({ lines, shippingAddress, shippingCost });
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Preview tax error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get single tax rule
+// @route   GET /api/tax-rules/:id
+// @access  Private/Admin
+router.get('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const rule = await TaxRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    console.error('Get tax rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create tax rule
+// @route   POST /api/tax-rules
+// @access  Private/Admin
+router.post('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const rule = await TaxRule.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create tax rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Update tax rule
+// @route   PUT /api/tax-rules/:id
+// @access  Private/Admin
+router.put('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const rule = await TaxRule.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update tax rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete tax rule
+// @route   DELETE /api/tax-rules/:id
+// @access  Private/Admin
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const rule = await TaxRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete tax rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
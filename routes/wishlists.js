@@ -0,0 +1,279 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const wishlistService = require('../services/wishlistService');
+const currencyService = require('../services/currencyService');
+const { sendHttpError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// @desc    Get the current user's wishlists
+// @route   GET /api/wishlists
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const lists = await wishlistService.getLists(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: lists.length,
+      data: lists.map(list => ({
+        _id: list._id,
+        name: list.name,
+        isDefault: list.isDefault,
+        visibility: list.visibility,
+        shareToken: list.shareToken,
+        itemCount: list.items.length,
+        updatedAt: list.updatedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get wishlists error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Create a wishlist
+// @route   POST /api/wishlists
+// @access  Private
+router.post('/', protect, idempotent, async (req, res) => {
+  try {
+    const list = await wishlistService.createList(req.user._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Wishlist created successfully',
+      data: list
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
+    console.error('Create wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Move a cart item to a wishlist (the default list if none given)
+// @route   POST /api/wishlists/save-for-later
+// @access  Private
+router.post('/save-for-later', protect, idempotent, async (req, res) => {
+  try {
+    const { productId, wishlistId } = req.body;
+
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product ID is required'
+      });
+    }
+
+    const { list, itemCount } = await wishlistService.saveForLater(req.user, productId, wishlistId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Item saved for later',
+      data: {
+        wishlist: list._id,
+        itemCount
+      }
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
+    console.error('Save for later error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    View a shared wishlist
+// @route   GET /api/wishlists/shared/:token
+// @access  Public
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const currency = await currencyService.fromRequest(req);
+    const list = await wishlistService.getSharedList(req.params.token, currency);
+
+    res.status(200).json({
+      success: true,
+      data: list
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
+    console.error('Get shared wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Get a wishlist with its products
+// @route   GET /api/wishlists/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const currency = await currencyService.fromRequest(req);
+    const list = await wishlistService.getOwnList(req.user._id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: await wishlistService.present(list, currency)
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
+    console.error('Get wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Rename a wishlist or change its visibility
+// @route   PUT /api/wishlists/:id
+// @access  Private
+router.put('/:id', protect, idempotent, async (req, res) => {
+  try {
+    const list = await wishlistService.getOwnList(req.user._id, req.params.id);
+    await wishlistService.updateList(list, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Wishlist updated successfully',
+      data: list
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
+    console.error('Update wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Delete a wishlist
+// @route   DELETE /api/wishlists/:id
+// @access  Private
+router.delete('/:id', protect, idempotent, async (req, res) => {
+  try {
+    const list = await wishlistService.getOwnList(req.user._id, req.params.id);
+    await list.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Wishlist deleted successfully'
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
+    console.error('Delete wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Add a product to a wishlist
+// @route   POST /api/wishlists/:id/items
+// @access  Private
+router.post('/:id/items', protect, idempotent, async (req, res) => {
+  try {
+    const { productId, note } = req.body;
+
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product ID is required'
+      });
+    }
+
+    const list = await wishlistService.getOwnList(req.user._id, req.params.id);
+    await wishlistService.addItem(req.user, list, productId, { note });
+
+    res.status(200).json({
+      success: true,
+      message: 'Item added to wishlist',
+      data: {
+        itemCount: list.items.length
+      }
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
+    console.error('Add wishlist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Remove a product from a wishlist
+// @route   DELETE /api/wishlists/:id/items/:productId
+// @access  Private
+router.delete('/:id/items/:productId', protect, idempotent, async (req, res) => {
+  try {
+    const list = await wishlistService.getOwnList(req.user._id, req.params.id);
+    await wishlistService.removeItem(list, req.params.productId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Item removed from wishlist',
+      data: {
+        itemCount: list.items.length
+      }
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
+    console.error('Remove wishlist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Move a wishlist item to the cart
+// @route   POST /api/wishlists/:id/items/:productId/move-to-cart
+// @access  Private
+router.post('/:id/items/:productId/move-to-cart', protect, idempotent, async (req, res) => {
+  try {
+    const { quantity = 1 } = req.body;
+    const list = await wishlistService.getOwnList(req.user._id, req.params.id);
+    const { itemCount } = await wishlistService.moveToCart(req.user, list, req.params.productId, quantity);
+
+    res.status(200).json({
+      success: true,
+      message: 'Item moved to cart',
+      data: {
+        itemCount,
+        wishlistItemCount: list.items.length
+      }
+    });
+  } catch (error) {
+    if (error.status) return sendHttpError(res, error);
+
+    console.error('Move to cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
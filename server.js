@@ -9,12 +9,23 @@ require('dotenv').config();
 
 // Import database connection
 const { connectDatabases, getRedisClient } = require('./config/database');
+const { startJobs } = require('./jobs');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
 const orderRoutes = require('./routes/orders');
 const cartRoutes = require('./routes/cart');
+const paymentRoutes = require('./routes/payments');
+const returnRoutes = require('./routes/returns');
+const promotionRoutes = require('./routes/promotions');
+const taxRuleRoutes = require('./routes/taxRules');
+const shippingRoutes = require('./routes/shipping');
+const analyticsRoutes = require('./routes/analytics');
+const currencyRoutes = require('./routes/currencies');
+const giftCardRoutes = require('./routes/giftCards');
+const storeCreditRoutes = require('./routes/storeCredit');
+const wishlistRoutes = require('./routes/wishlists');
 
 const app = express();
 
@@ -55,11 +66,18 @@ const initializeApp = async () => {
         : ['http://localhost:3000'],
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization']
+      allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Currency'],
+      exposedHeaders: ['Idempotent-Replayed']
     }));
 
     // Body parsing middleware
-    app.use(express.json({ limit: '10mb' }));
+    app.use(express.json({
+      limit: '10mb',
+      // Keep the raw bytes for payment webhook signature checks
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
     app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
     // Session configuration with Redis (after Redis connection)
@@ -100,6 +118,16 @@ const initializeApp = async () => {
     app.use('/api/products', productRoutes);  
     app.use('/api/orders', orderRoutes);
     app.use('/api/cart', cartRoutes);
+    app.use('/api/payments', paymentRoutes);
+    app.use('/api/returns', returnRoutes);
+    app.use('/api/promotions', promotionRoutes);
+    app.use('/api/tax-rules', taxRuleRoutes);
+    app.use('/api/shipping', shippingRoutes);
+    app.use('/api/analytics', analyticsRoutes);
+    app.use('/api/currencies', currencyRoutes);
+    app.use('/api/gift-cards', giftCardRoutes);
+    app.use('/api/store-credit', storeCreditRoutes);
+    app.use('/api/wishlists', wishlistRoutes);
 
     // Health check endpoint
     app.get('/api/health', (req, res) => {
@@ -148,6 +176,8 @@ const initializeApp = async () => {
       console.log(`🚀 Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
       console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
     });
+
+    startJobs();
   } catch (error) {
     console.error('Failed to initialize application:', error);
     process.exit(1);
@@ -0,0 +1,433 @@
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const CartAbandonment = require('../models/CartAbandonment');
+const redisService = require('./redisService');
+const { httpError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+
+const ANALYTICS_TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'UTC';
+// Reports over ranges that have ended cannot change, so they are kept
+// longer than reports that include today
+const ANALYTICS_CACHE_TTL_SECONDS = parseInt(process.env.ANALYTICS_CACHE_TTL_SECONDS) || 60 * 60;
+const ANALYTICS_LIVE_CACHE_TTL_SECONDS = parseInt(process.env.ANALYTICS_LIVE_CACHE_TTL_SECONDS) || 60;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_BUCKETS = 400;
+
+const INTERVALS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 31 * 24 * 60 * 60 * 1000
+};
+
+// Sales are orders that were paid (later refunds are reported against them)
+// or, for cash on delivery, delivered. Cancelled orders never count, and
+// unpaid ones may still expire.
+const COUNTED_ORDERS = {
+  orderStatus: { $ne: 'cancelled' },
+  $or: [
+    { paymentStatus: { $in: ['paid', 'partially_refunded', 'refunded'] } },
+    { paymentMethod: 'cash_on_delivery', orderStatus: 'delivered' }
+  ]
+};
+
+// Order amounts are in the order's currency; reports are in the base
+// currency, at the rate frozen on each order
+const toBase = amount => ({ $divide: [amount, { $ifNull: ['$currency.rate', 1] }] });
+
+class AnalyticsService {
+  // Validate the report parameters. The range defaults to the last 30 days
+  // and `to` is exclusive, except that a date-only `to` includes that day.
+  parseRange({ from, to, interval = 'day' } = {}) {
+    if (!INTERVALS[interval]) {
+      throw httpError(400, `Interval must be one of: ${Object.keys(INTERVALS).join(', ')}`);
+    }
+
+    // Without `to`, round now up to the minute so repeated requests share a
+    // cache entry
+    const end = to ? new Date(to) : new Date(Math.ceil(Date.now() / 60000) * 60000);
+    if (isNaN(end.getTime())) throw httpError(400, `Invalid 'to' date: ${to}`);
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCDate(end.getUTCDate() + 1);
+
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * INTERVALS.day);
+    if (isNaN(start.getTime())) throw httpError(400, `Invalid 'from' date: ${from}`);
+
+    if (start >= end) {
+      throw httpError(400, "'from' must be before 'to'");
+    }
+
+    if ((end - start) / INTERVALS[interval] > MAX_BUCKETS) {
+      throw httpError(400, `Range is too long for ${interval} buckets; use a larger interval`);
+    }
+
+    return { start, end, interval };
+  }
+
+  bucketExpression(interval) {
+    return {
+      $dateTrunc: {
+        date: '$createdAt',
+        unit: interval,
+        timezone: ANALYTICS_TIMEZONE,
+        ...(interval === 'week' ? { startOfWeek: 'monday' } : {})
+      }
+    };
+  }
+
+  matchRange({ start, end }) {
+    return { $match: { ...COUNTED_ORDERS, createdAt: { $gte: start, $lt: end } } };
+  }
+
+  // Run a report through the Redis cache, keyed by its name and parameters
+  async cached(report, params, build, { refresh = false } = {}) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(params)).digest('hex');
+    const key = `analytics:${report}:${hash}`;
+
+    if (!refresh) {
+      const hit = await redisService.get(key);
+      if (hit) return { ...hit, cached: true };
+    }
+
+    const data = await build();
+    const ttl = params.end <= new Date() - INTERVALS.day
+      ? ANALYTICS_CACHE_TTL_SECONDS
+      : ANALYTICS_LIVE_CACHE_TTL_SECONDS;
+    await redisService.set(key, { data, generatedAt: new Date() }, ttl);
+
+    return { data, generatedAt: new Date(), cached: false };
+  }
+
+  // Revenue, order count and average order value per bucket
+  async getSales(query, options) {
+    const range = this.parseRange(query);
+
+    return await this.cached('sales', range, async () => {
+      const rows = await Order.aggregate([
+        this.matchRange(range),
+        {
+          $group: {
+            _id: this.bucketExpression(range.interval),
+            orders: { $sum: 1 },
+            revenue: { $sum: toBase('$total') },
+            subtotal: { $sum: toBase('$subtotal') },
+            discount: { $sum: toBase('$discount') },
+            shipping: { $sum: toBase('$shippingCost') },
+            tax: { $sum: toBase('$tax') },
+            refunded: { $sum: toBase({ $sum: '$refunds.amount' }) }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]);
+
+      const summarize = (row) => ({
+        orders: row.orders,
+        revenue: roundMoney(row.revenue),
+        netRevenue: roundMoney(row.revenue - row.refunded),
+        averageOrderValue: row.orders > 0 ? roundMoney(row.revenue / row.orders) : 0,
+        subtotal: roundMoney(row.subtotal),
+        discount: roundMoney(row.discount),
+        shipping: roundMoney(row.shipping),
+        tax: roundMoney(row.tax),
+        refunded: roundMoney(row.refunded)
+      });
+
+      const totals = rows.reduce((sum, row) => {
+        for (const field of ['orders', 'revenue', 'subtotal', 'discount', 'shipping', 'tax', 'refunded']) {
+          sum[field] += row[field];
+        }
+        return sum;
+      }, { orders: 0, revenue: 0, subtotal: 0, discount: 0, shipping: 0, tax: 0, refunded: 0 });
+
+      return {
+        from: range.start,
+        to: range.end,
+        interval: range.interval,
+        buckets: rows.map(row => ({ period: row._id, ...summarize(row) })),
+        totals: summarize(totals)
+      };
+    }, options);
+  }
+
+  // Best-selling products over the range
+  async getProducts(query, options) {
+    const range = this.parseRange(query);
+    const limit = Math.min(parseInt(query.limit) || 20, 100);
+
+    return await this.cached('products', { ...range, limit }, async () => {
+      const rows = await Order.aggregate([
+        this.matchRange(range),
+        { $unwind: '$items' },
+        {
+          $group: {
+            _id: '$items.product',
+            name: { $last: '$items.name' },
+            unitsSold: { $sum: '$items.quantity' },
+            revenue: { $sum: toBase({ $multiply: ['$items.price', '$items.quantity'] }) },
+            // After $unwind each document is a line, so collect distinct orders
+            orderIds: { $addToSet: '$_id' }
+          }
+        },
+        { $sort: { unitsSold: -1, revenue: -1 } },
+        { $limit: limit },
+        { $project: { name: 1, unitsSold: 1, revenue: 1, orders: { $size: '$orderIds' } } }
+      ]);
+
+      return {
+        from: range.start,
+        to: range.end,
+        products: rows.map(row => ({
+          product: row._id,
+          name: row.name,
+          unitsSold: row.unitsSold,
+          revenue: roundMoney(row.revenue),
+          orders: row.orders
+        }))
+      };
+    }, options);
+  }
+
+  // Units and revenue per product category per bucket. Categories come from
+  // the current catalog, since order items do not snapshot them.
+  async getCategories(query, options) {
+    const range = this.parseRange(query);
+
+    return await this.cached('categories', range, async () => {
+      const rows = await Order.aggregate([
+        this.matchRange(range),
+        { $unwind: '$items' },
+        {
+          $lookup: {
+            from: 'products',
+            localField: 'items.product',
+            foreignField: '_id',
+            as: 'product',
+            pipeline: [{ $project: { category: 1 } }]
+          }
+        },
+        {
+          $group: {
+            _id: {
+              period: this.bucketExpression(range.interval),
+              category: { $ifNull: [{ $first: '$product.category' }, 'unknown'] }
+            },
+            unitsSold: { $sum: '$items.quantity' },
+            revenue: { $sum: toBase({ $multiply: ['$items.price', '$items.quantity'] }) }
+          }
+        },
+        { $sort: { '_id.period': 1, unitsSold: -1 } }
+      ]);
+
+      const buckets = [];
+      for (const row of rows) {
+        let bucket = buckets[buckets.length - 1];
+        if (!bucket || bucket.period.getTime() !== row._id.period.getTime()) {
+          bucket = { period: row._id.period, categories: [] };
+          buckets.push(bucket);
+        }
+        bucket.categories.push({
+          category: row._id.category,
+          unitsSold: row.unitsSold,
+          revenue: roundMoney(row.revenue)
+        });
+      }
+
+      return {
+        from: range.start,
+        to: range.end,
+        interval: range.interval,
+        buckets
+      };
+    }, options);
+  }
+
+  // Share of orders placed in each bucket that were later refunded, by count
+  // and by amount
+  async getRefunds(query, options) {
+    const range = this.parseRange(query);
+
+    return await this.cached('refunds', range, async () => {
+      const rows = await Order.aggregate([
+        this.matchRange(range),
+        {
+          $group: {
+            _id: this.bucketExpression(range.interval),
+            orders: { $sum: 1 },
+            refundedOrders: { $sum: { $cond: [{ $gt: [{ $size: '$refunds' }, 0] }, 1, 0] } },
+            revenue: { $sum: toBase('$total') },
+            refunded: { $sum: toBase({ $sum: '$refunds.amount' }) }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]);
+
+      const summarize = (row) => ({
+        orders: row.orders,
+        refundedOrders: row.refundedOrders,
+        refundRate: row.orders > 0 ? Math.round((row.refundedOrders / row.orders) * 10000) / 10000 : 0,
+        refunded: roundMoney(row.refunded),
+        refundedShare: row.revenue > 0 ? Math.round((row.refunded / row.revenue) * 10000) / 10000 : 0
+      });
+
+      const totals = rows.reduce((sum, row) => ({
+        orders: sum.orders + row.orders,
+        refundedOrders: sum.refundedOrders + row.refundedOrders,
+        revenue: sum.revenue + row.revenue,
+        refunded: sum.refunded + row.refunded
+      }), { orders: 0, refundedOrders: 0, revenue: 0, refunded: 0 });
+
+      return {
+        from: range.start,
+        to: range.end,
+        interval: range.interval,
+        buckets: rows.map(row => ({ period: row._id, ...summarize(row) })),
+        totals: summarize(totals)
+      };
+    }, options);
+  }
+
+  // Customers ordering in each bucket, split into first-time customers and
+  // those who had ordered before the bucket
+  async getCustomers(query, options) {
+    const range = this.parseRange(query);
+
+    return await this.cached('customers', range, async () => {
+      const rows = await Order.aggregate([
+        this.matchRange(range),
+        {
+          $group: {
+            _id: { period: this.bucketExpression(range.interval), user: '$user' },
+            firstOrderAt: { $min: '$createdAt' },
+            orders: { $sum: 1 },
+            revenue: { $sum: toBase('$total') }
+          }
+        },
+        {
+          $lookup: {
+            from: 'orders',
+            let: { user: '$_id.user', before: '$firstOrderAt' },
+            pipeline: [
+              {
+                $match: {
+                  ...COUNTED_ORDERS,
+                  $expr: {
+                    $and: [
+                      { $eq: ['$user', '$$user'] },
+                      { $lt: ['$createdAt', '$$before'] }
+                    ]
+                  }
+                }
+              },
+              { $limit: 1 },
+              { $project: { _id: 1 } }
+            ],
+            as: 'earlier'
+          }
+        },
+        {
+          $group: {
+            _id: '$_id.period',
+            customers: { $sum: 1 },
+            newCustomers: { $sum: { $cond: [{ $eq: [{ $size: '$earlier' }, 0] }, 1, 0] } },
+            newCustomerRevenue: {
+              $sum: { $cond: [{ $eq: [{ $size: '$earlier' }, 0] }, '$revenue', 0] }
+            },
+            revenue: { $sum: '$revenue' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]);
+
+      return {
+        from: range.start,
+        to: range.end,
+        interval: range.interval,
+        buckets: rows.map(row => ({
+          period: row._id,
+          customers: row.customers,
+          newCustomers: row.newCustomers,
+          returningCustomers: row.customers - row.newCustomers,
+          newCustomerRevenue: roundMoney(row.newCustomerRevenue),
+          returningCustomerRevenue: roundMoney(row.revenue - row.newCustomerRevenue)
+        }))
+      };
+    }, options);
+  }
+
+  // Carts abandoned in each bucket (by when the abandonment was detected),
+  // with reminders, restores and recoveries. The abandonment rate compares
+  // abandoned carts with orders placed in the same bucket; the recovery
+  // rate is the share of abandoned carts checked out later.
+  async getCartAbandonment(query, options) {
+    const range = this.parseRange(query);
+
+    return await this.cached('cart-abandonment', range, async () => {
+      const [rows, orderRows] = await Promise.all([
+        CartAbandonment.aggregate([
+          { $match: { createdAt: { $gte: range.start, $lt: range.end } } },
+          {
+            $group: {
+              _id: this.bucketExpression(range.interval),
+              abandoned: { $sum: 1 },
+              value: { $sum: '$value' },
+              reminded: {
+                $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$notifications.messageId', []] } }, 0] }, 1, 0] }
+              },
+              restored: { $sum: { $cond: [{ $ifNull: ['$restoredAt', false] }, 1, 0] } },
+              returned: { $sum: { $cond: [{ $eq: ['$status', 'returned'] }, 1, 0] } },
+              recovered: { $sum: { $cond: [{ $eq: ['$status', 'recovered'] }, 1, 0] } },
+              recoveredValue: { $sum: { $ifNull: ['$recoveredValue', 0] } }
+            }
+          }
+        ]),
+        Order.aggregate([
+          this.matchRange(range),
+          { $group: { _id: this.bucketExpression(range.interval), orders: { $sum: 1 } } }
+        ])
+      ]);
+
+      const empty = {
+        abandoned: 0, value: 0, reminded: 0, restored: 0, returned: 0, recovered: 0, recoveredValue: 0, orders: 0
+      };
+      const buckets = new Map();
+      for (const row of rows) {
+        buckets.set(row._id.getTime(), { ...empty, ...row, period: row._id });
+      }
+      for (const row of orderRows) {
+        const bucket = buckets.get(row._id.getTime()) || { ...empty, period: row._id };
+        bucket.orders = row.orders;
+        buckets.set(row._id.getTime(), bucket);
+      }
+
+      const rate = (count, total) => total > 0 ? Math.round((count / total) * 10000) / 10000 : 0;
+      const summarize = (row) => ({
+        abandoned: row.abandoned,
+        value: roundMoney(row.value),
+        reminded: row.reminded,
+        restored: row.restored,
+        returned: row.returned,
+        recovered: row.recovered,
+        recoveredValue: roundMoney(row.recoveredValue),
+        orders: row.orders,
+        abandonmentRate: rate(row.abandoned, row.abandoned + row.orders),
+        recoveryRate: rate(row.recovered, row.abandoned)
+      });
+
+      const sorted = [...buckets.values()].sort((a, b) => a.period - b.period);
+      const totals = sorted.reduce((sum, row) => {
+        for (const field of Object.keys(empty)) {
+          sum[field] += row[field];
+        }
+        return sum;
+      }, { ...empty });
+
+      return {
+        from: range.start,
+        to: range.end,
+        interval: range.interval,
+        buckets: sorted.map(row => ({ period: row.period, ...summarize(row) })),
+        totals: summarize(totals)
+      };
+    }, options);
+  }
+}
+
+module.exports = new AnalyticsService();
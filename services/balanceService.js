@@ -0,0 +1,334 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const BalanceAccount = require('../models/BalanceAccount');
+const LedgerEntry = require('../models/LedgerEntry');
+const { httpError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+
+const GIFT_CARD_VALIDITY_DAYS = parseInt(process.env.GIFT_CARD_VALIDITY_DAYS) || 365;
+
+// No 0/O or 1/I, so codes survive being read out or typed in
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 16;
+
+class BalanceService {
+  generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    const chars = [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return chars.match(/.{4}/g).join('-');
+  }
+
+  // Accept codes typed with or without dashes and spaces
+  normalizeCode(code) {
+    if (typeof code !== 'string') return '';
+    const chars = code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return chars.length === CODE_LENGTH ? chars.match(/.{4}/g).join('-') : chars;
+  }
+
+  // What customers see of a code on orders and receipts
+  maskCode(code) {
+    return `****-${code.slice(-4)}`;
+  }
+
+  async runInTransaction(work) {
+    const session = await mongoose.startSession();
+    let result;
+
+    try {
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw httpError(400, error.message);
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    return result;
+  }
+
+  // Add a ledger entry and move the account balance by it, in the caller's
+  // transaction. A debit only goes through if the balance covers it, checked
+  // in the same atomic update.
+  async post(accountId, { type, amount, reason, order, returnId, note, actor }, session) {
+    const value = roundMoney(amount);
+    if (!(value > 0)) {
+      throw httpError(400, 'Amount must be positive');
+    }
+
+    const filter = { _id: accountId };
+    if (type === 'debit') filter.balance = { $gte: value };
+
+    let account = await BalanceAccount.findOneAndUpdate(
+      filter,
+      { $inc: { balance: type === 'credit' ? value : -value } },
+      { new: true, session }
+    );
+
+    if (!account) {
+      const exists = await BalanceAccount.exists({ _id: accountId }).session(session || null);
+      if (!exists) throw httpError(404, 'Balance account not found');
+      throw httpError(409, 'Insufficient balance');
+    }
+
+    // Keep the stored balance on whole cents after floating point $inc
+    const balanceAfter = roundMoney(account.balance);
+    if (balanceAfter !== account.balance) {
+      account = await BalanceAccount.findByIdAndUpdate(
+        accountId,
+        { $set: { balance: balanceAfter } },
+        { new: true, session }
+      );
+    }
+
+    const [entry] = await LedgerEntry.create([{
+      account: accountId,
+      type,
+      amount: value,
+      balanceAfter,
+      reason,
+      order,
+      return: returnId,
+      note,
+      actor
+    }], { session });
+
+    return { account, entry };
+  }
+
+  // Create a gift card with a fresh code and credit its amount
+  async issueGiftCard({ amount, currency, expiresAt, recipientEmail, message, user, order, actor, reason = 'issue' }, session) {
+    const value = roundMoney(amount);
+    if (!(value > 0)) {
+      throw httpError(400, 'Gift card amount must be positive');
+    }
+
+    const expiry = expiresAt
+      ? new Date(expiresAt)
+      : new Date(Date.now() + GIFT_CARD_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+    if (isNaN(expiry.getTime())) {
+      throw httpError(400, `Invalid expiry date: ${expiresAt}`);
+    }
+
+    const [card] = await BalanceAccount.create([{
+      type: 'gift_card',
+      code: this.generateCode(),
+      user,
+      currency,
+      initialAmount: value,
+      expiresAt: expiry,
+      recipientEmail,
+      message,
+      order
+    }], { session });
+
+    const { account } = await this.post(card._id, {
+      type: 'credit',
+      amount: value,
+      reason,
+      order,
+      actor
+    }, session);
+
+    return account;
+  }
+
+  // Issue the gift cards bought in an order, once, when it is paid
+  async issueOrderGiftCards(order, session) {
+    if (order.giftCards.length > 0) return;
+
+    for (const item of order.items) {
+      if (!item.isGiftCard) continue;
+
+      for (let n = 0; n < item.quantity; n++) {
+        const card = await this.issueGiftCard({
+          amount: item.price,
+          currency: order.currency.code,
+          user: order.user._id || order.user,
+          order: order._id,
+          reason: 'purchase'
+        }, session);
+
+        order.giftCards.push({ account: card._id, code: card.code, amount: card.initialAmount });
+      }
+    }
+  }
+
+  // Take back the gift cards issued for an order that is being cancelled:
+  // each is debited by its initial amount and deactivated. A card that has
+  // already been spent cannot be taken back, so the cancellation is refused.
+  async revokeOrderGiftCards(order, { note, session }) {
+    for (const issued of order.giftCards) {
+      const card = await BalanceAccount.findById(issued.account).session(session || null);
+      if (!card) continue;
+
+      if (card.balance < card.initialAmount) {
+        throw httpError(409, `Gift card ${this.maskCode(card.code)} bought with this order has already been used`);
+      }
+
+      // The debit only goes through if the balance still covers it, so a
+      // redemption racing the cancellation fails one of the two
+      await this.post(card._id, {
+        type: 'debit',
+        amount: card.initialAmount,
+        reason: 'revocation',
+        order: order._id,
+        note
+      }, session);
+      await BalanceAccount.updateOne({ _id: card._id }, { $set: { isActive: false } }, { session });
+    }
+  }
+
+  // A gift card that can pay for an order in the given currency
+  async getUsableGiftCard(code, currency, session) {
+    const card = await BalanceAccount.findOne({
+      type: 'gift_card',
+      code: this.normalizeCode(code)
+    }).session(session || null);
+
+    if (!card || !card.isActive) {
+      throw httpError(404, 'Gift card not found');
+    }
+
+    if (card.expiresAt && card.expiresAt < new Date()) {
+      throw httpError(409, `Gift card ${this.maskCode(card.code)} has expired`);
+    }
+
+    if (card.currency !== currency) {
+      throw httpError(409, `Gift card ${this.maskCode(card.code)} can only be used for orders in ${card.currency}`);
+    }
+
+    if (card.balance <= 0) {
+      throw httpError(409, `Gift card ${this.maskCode(card.code)} has no balance left`);
+    }
+
+    return card;
+  }
+
+  // A user's store credit account in a currency, created on first use
+  async getStoreCreditAccount(userId, currency, session) {
+    return await BalanceAccount.findOneAndUpdate(
+      { type: 'store_credit', user: userId, currency },
+      { $setOnInsert: { balance: 0 } },
+      { new: true, upsert: true, session }
+    );
+  }
+
+  async creditStoreCredit(userId, amount, currency, details, session) {
+    const account = await this.getStoreCreditAccount(userId, currency, session);
+    return await this.post(account._id, { ...details, type: 'credit' }, session);
+  }
+
+  // Pay up to `amount` of an order from gift cards (in the order given), then
+  // store credit. useStoreCredit is true for as much as is needed, or a
+  // maximum amount. Runs in the order's transaction, so a failed order never
+  // spends a balance. Returns the order's balancePayments.
+  async redeem(order, { giftCardCodes = [], useStoreCredit = false, actor }, session) {
+    const codes = [...new Set((Array.isArray(giftCardCodes) ? giftCardCodes : [giftCardCodes])
+      .map(code => this.normalizeCode(code))
+      .filter(Boolean))];
+    const payments = [];
+    let remaining = roundMoney(order.total);
+
+    for (const code of codes) {
+      if (remaining <= 0) break;
+
+      const card = await this.getUsableGiftCard(code, order.currency.code, session);
+      const amount = roundMoney(Math.min(card.balance, remaining));
+      const { entry } = await this.post(card._id, {
+        type: 'debit',
+        amount,
+        reason: 'redemption',
+        order: order._id,
+        actor
+      }, session);
+
+      payments.push({
+        account: card._id,
+        type: 'gift_card',
+        code: this.maskCode(card.code),
+        amount,
+        ledgerEntry: entry._id
+      });
+      remaining = roundMoney(remaining - amount);
+    }
+
+    if (useStoreCredit && remaining > 0) {
+      const limit = useStoreCredit === true ? remaining : Math.min(roundMoney(useStoreCredit) || 0, remaining);
+      const account = await BalanceAccount.findOne({
+        type: 'store_credit',
+        user: order.user,
+        currency: order.currency.code
+      }).session(session || null);
+      const amount = account ? roundMoney(Math.min(account.balance, limit)) : 0;
+
+      if (amount > 0) {
+        const { entry } = await this.post(account._id, {
+          type: 'debit',
+          amount,
+          reason: 'redemption',
+          order: order._id,
+          actor
+        }, session);
+
+        payments.push({
+          account: account._id,
+          type: 'store_credit',
+          amount,
+          ledgerEntry: entry._id
+        });
+      }
+    }
+
+    return payments;
+  }
+
+  // Give back what an order took from balances and has not been refunded,
+  // e.g. when it is cancelled
+  async reverseRedemptions(order, { note, session }) {
+    for (const payment of order.balancePayments) {
+      const amount = roundMoney(payment.amount - payment.refunded);
+      if (amount <= 0) continue;
+
+      await this.post(payment.account, {
+        type: 'credit',
+        amount,
+        reason: 'reversal',
+        order: order._id,
+        note
+      }, session);
+      payment.refunded = payment.amount;
+    }
+  }
+
+  // Manual correction by an admin: a positive amount credits the account, a
+  // negative one debits it
+  async adjust(accountId, amount, { note, actor }) {
+    const value = Number(amount);
+    if (!Number.isFinite(value) || value === 0) {
+      throw httpError(400, 'Adjustment amount must be a non-zero number');
+    }
+
+    return await this.runInTransaction(session => this.post(accountId, {
+      type: value > 0 ? 'credit' : 'debit',
+      amount: Math.abs(value),
+      reason: 'adjustment',
+      note,
+      actor
+    }, session));
+  }
+
+  // An account with its most recent ledger entries
+  async getStatement(account, limit = 50) {
+    const entries = await LedgerEntry.find({ account: account._id })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    return { account, entries };
+  }
+}
+
+module.exports = new BalanceService();
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const CartAbandonment = require('../models/CartAbandonment');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const redisService = require('./redisService');
+const reservationService = require('./reservationService');
+const notifierService = require('./notifierService');
+const { httpError } = require('../utils/httpError');
+const { BASE_CURRENCY, roundMoney } = require('../utils/money');
+
+const MINUTE = 60 * 1000;
+const DEFAULT_THRESHOLDS_MINUTES = [60, 720];
+const CART_RECOVERY_WINDOW_DAYS = parseInt(process.env.CART_RECOVERY_WINDOW_DAYS) || 7;
+const STORE_NAME = process.env.STORE_NAME || 'Minimal E-commerce';
+const STORE_URL = (process.env.STORE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+// Idle times in minutes, e.g. "60,720": the first marks a cart abandoned,
+// and a reminder goes out at each one
+const parseThresholds = (value) => {
+  const minutes = String(value || '').split(',').map(part => parseInt(part)).filter(m => m > 0);
+  return minutes.length > 0 ? [...new Set(minutes)].sort((a, b) => a - b) : DEFAULT_THRESHOLDS_MINUTES;
+};
+
+const THRESHOLDS_MINUTES = parseThresholds(process.env.CART_ABANDONMENT_THRESHOLDS_MINUTES);
+
+class CartAbandonmentService {
+  // Carts scored at or before this are due for a check. A cart is scored
+  // by its last activity, pushed forward as each reminder goes out.
+  getDueBefore(now = Date.now()) {
+    return now - THRESHOLDS_MINUTES[0] * MINUTE;
+  }
+
+  getRecoveryCutoff() {
+    return new Date(Date.now() - CART_RECOVERY_WINDOW_DAYS * 24 * 60 * MINUTE);
+  }
+
+  // Guest carts are keyed by session and have no one to remind
+  getUserId(cartId) {
+    return mongoose.isValidObjectId(cartId) ? cartId : undefined;
+  }
+
+  getRestoreUrl(event) {
+    return `${STORE_URL}/cart/restore/${event.recoveryToken}`;
+  }
+
+  // Check one due cart: record the abandonment the first time it passes the
+  // first threshold, send a reminder when it passes a threshold, and
+  // schedule the next check. Returns { event, detected, reminded }, or null
+  // if the cart is gone, empty or was used since it was queued.
+  async checkCart(cartId, now = Date.now()) {
+    const cart = await redisService.getCart(cartId, { slide: false });
+    if (!cart || cart.items.length === 0) {
+      await redisService.removeIdleCart(cartId);
+      return null;
+    }
+
+    const lastActivityAt = cart.updatedAt || now;
+    const idleMinutes = (now - lastActivityAt) / MINUTE;
+    const stage = THRESHOLDS_MINUTES.filter(minutes => idleMinutes >= minutes).length;
+
+    if (stage === 0) {
+      await redisService.rescheduleIdleCart(cartId, lastActivityAt);
+      return null;
+    }
+
+    let event = await CartAbandonment.findOne({ cartId, lastActivityAt: new Date(lastActivityAt) });
+    const detected = !event;
+    if (!event) {
+      event = await this.recordAbandonment(cartId, cart, lastActivityAt);
+    }
+
+    // Only the latest threshold passed gets a reminder, so a cart found
+    // late is not sent several at once
+    let reminded = false;
+    if (event.stage < stage) {
+      event.stage = stage;
+      if (event.user) reminded = await this.sendReminder(event, stage);
+      await event.save();
+    }
+
+    if (stage < THRESHOLDS_MINUTES.length) {
+      const nextCheck = lastActivityAt + (THRESHOLDS_MINUTES[stage] - THRESHOLDS_MINUTES[0]) * MINUTE;
+      await redisService.rescheduleIdleCart(cartId, nextCheck);
+    } else {
+      await redisService.removeIdleCart(cartId);
+    }
+
+    return { event, detected, reminded };
+  }
+
+  async recordAbandonment(cartId, cart, lastActivityAt) {
+    const products = await Product.find({
+      _id: { $in: cart.items.map(item => item.product).filter(id => mongoose.isValidObjectId(id)) }
+    }).select('name price');
+
+    const items = cart.items.map(item => {
+      const product = products.find(p => p._id.toString() === item.product);
+      return {
+        product: product ? product._id : undefined,
+        name: product ? product.name : undefined,
+        quantity: item.quantity,
+        price: typeof item.price === 'number' ? item.price : product?.price
+      };
+    });
+
+    // An earlier idle spell of this cart that is still open means the
+    // shopper came back in between
+    await CartAbandonment.updateMany({ cartId, status: 'open' }, { $set: { status: 'returned' } });
+
+    return await CartAbandonment.create({
+      cartId,
+      user: this.getUserId(cartId),
+      lastActivityAt: new Date(lastActivityAt),
+      items,
+      value: roundMoney(items.reduce((sum, item) => sum + (item.price || 0) * item.quantity, 0)),
+      recoveryToken: crypto.randomBytes(24).toString('base64url')
+    });
+  }
+
+  // Hand a reminder with the restore link to the notifier. A failure is
+  // recorded on the event and not retried, so a broken transport cannot
+  // flood a customer once it works again. Returns whether it was sent.
+  async sendReminder(event, stage) {
+    const user = await User.findById(event.user).select('name email isActive');
+    if (!user || !user.isActive) return false;
+
+    const restoreUrl = this.getRestoreUrl(event);
+    const lines = event.items.map(item => `- ${item.name || 'Item'} x ${item.quantity}`).join('\n');
+
+    try {
+      const { transport, id } = await notifierService.send({
+        to: user.email,
+        subject: stage === 1 ? 'You left something in your cart' : 'Your cart is still waiting for you',
+        text: `Hi ${user.name},\n\nYou left these items in your cart at ${STORE_NAME}:\n${lines}\n\n` +
+          `Pick up where you left off: ${restoreUrl}\n`,
+        data: {
+          type: 'cart_abandonment',
+          stage,
+          restoreUrl,
+          items: event.items.map(({ product, name, quantity, price }) => ({ product, name, quantity, price })),
+          value: event.value,
+          currency: BASE_CURRENCY
+        }
+      });
+
+      event.notifications.push({ stage, transport, messageId: id });
+      return true;
+    } catch (error) {
+      console.error(`Cart abandonment reminder for ${event.cartId} error:`, error);
+      event.notifications.push({ stage, error: error.message });
+      return false;
+    }
+  }
+
+  // Put an abandoned cart's items back from the link in a reminder, topping
+  // up lines still in the cart rather than doubling them, as far as stock
+  // allows
+  async restore(token, cartId, reservationId) {
+    const event = typeof token === 'string'
+      ? await CartAbandonment.findOne({ recoveryToken: token })
+      : null;
+
+    if (!event || event.createdAt < this.getRecoveryCutoff()) {
+      throw httpError(404, 'Cart recovery link not found or expired');
+    }
+
+    const products = await Product.find({
+      _id: { $in: event.items.map(item => item.product).filter(Boolean) }
+    }).select('name price stock isActive');
+    const cart = (await redisService.getCart(cartId)) || { items: [] };
+    const lines = [];
+    let itemCount = cart.items.reduce((sum, item) => sum + item.quantity, 0);
+
+    for (const item of event.items) {
+      const product = item.product ? products.find(p => p._id.equals(item.product)) : null;
+      const line = {
+        product: item.product,
+        name: product ? product.name : item.name,
+        requested: item.quantity,
+        added: 0
+      };
+
+      if (!product || !product.isActive) {
+        lines.push({ ...line, status: 'dropped', reason: product ? 'inactive' : 'deleted' });
+        continue;
+      }
+
+      const productId = product._id.toString();
+      const cartItem = cart.items.find(entry => entry.product === productId);
+      const missing = item.quantity - (cartItem ? cartItem.quantity : 0);
+      if (missing <= 0) {
+        lines.push({ ...line, status: 'in_cart' });
+        continue;
+      }
+
+      const available = await reservationService.getAvailableStock(product, reservationId);
+      const result = await redisService.addCartItem(cartId, productId, missing, product.price, available, { capped: true });
+      if (!result) {
+        throw httpError(503, 'Cart is temporarily unavailable');
+      }
+      itemCount = result.itemCount;
+
+      if (result.added === 0) {
+        lines.push({ ...line, status: 'dropped', reason: 'out_of_stock', available });
+      } else {
+        lines.push({
+          ...line,
+          added: result.added,
+          status: result.added < missing ? 'partial' : 'added',
+          ...(result.added < missing ? { available } : {})
+        });
+      }
+    }
+
+    if (!event.restoredAt) {
+      event.restoredAt = new Date();
+      await event.save();
+    }
+
+    return { lines, itemCount };
+  }
+
+  // A checkout within the recovery window recovers the cart's most recent
+  // abandonment
+  async markRecovered(cartId, order) {
+    return await CartAbandonment.findOneAndUpdate(
+      {
+        cartId,
+        status: { $in: ['open', 'returned'] },
+        createdAt: { $gte: this.getRecoveryCutoff() }
+      },
+      {
+        $set: {
+          status: 'recovered',
+          recoveredAt: new Date(),
+          order: order._id,
+          recoveredValue: roundMoney(order.total / (order.currency?.rate || 1))
+        }
+      },
+      { sort: { createdAt: -1 }, new: true }
+    );
+  }
+}
+
+module.exports = new CartAbandonmentService();
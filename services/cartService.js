@@ -0,0 +1,149 @@
+const Product = require('../models/Product');
+const redisService = require('./redisService');
+const reservationService = require('./reservationService');
+const promotionService = require('./promotionService');
+const currencyService = require('./currencyService');
+const { httpError } = require('../utils/httpError');
+
+// Stock at or below this is worth telling the shopper about
+const LOW_STOCK_THRESHOLD = parseInt(process.env.CART_LOW_STOCK_THRESHOLD) || 5;
+
+class CartService {
+  guestCartId(sessionId) {
+    return `guest:${sessionId}`;
+  }
+
+  // Move a guest's cart into the user's cart when they log in or register.
+  // Quantities for the same product are summed and capped at the stock
+  // available to the user; lines that could not be merged in full are
+  // reported as conflicts. Returns null when the guest had no cart.
+  async mergeGuestCart(sessionId, userId) {
+    const guestCartId = this.guestCartId(sessionId);
+    const guestCart = await redisService.getCart(guestCartId);
+
+    if (!guestCart || !guestCart.items || guestCart.items.length === 0) {
+      if (guestCart) await redisService.deleteCart(guestCartId);
+      return null;
+    }
+
+    const products = await Product.find({
+      _id: { $in: guestCart.items.map(item => item.product) }
+    }).select('name price stock isActive');
+
+    const reservationId = await reservationService.getUserReservationId(userId);
+    const lines = [];
+
+    for (const guestItem of guestCart.items) {
+      const product = products.find(p => p._id.toString() === guestItem.product);
+      const line = {
+        product: guestItem.product,
+        name: product ? product.name : undefined,
+        guestQuantity: guestItem.quantity,
+        cartQuantity: 0,
+        quantity: 0
+      };
+
+      if (!product || !product.isActive) {
+        lines.push({ ...line, status: 'dropped', reason: product ? 'inactive' : 'deleted' });
+        continue;
+      }
+
+      // Adds as much as fits under the available stock, in one atomic step;
+      // never takes away what the user already had in their cart
+      const available = await reservationService.getAvailableStock(product, reservationId);
+      const result = await redisService.addCartItem(
+        userId, guestItem.product, guestItem.quantity, guestItem.price, available, { capped: true }
+      );
+      if (!result) {
+        throw httpError(503, 'Cart is temporarily unavailable');
+      }
+
+      line.cartQuantity = result.quantity - result.added;
+      line.quantity = result.quantity;
+
+      if (result.added === 0) {
+        lines.push({ ...line, status: 'dropped', reason: 'out_of_stock', available });
+      } else if (result.added < guestItem.quantity) {
+        lines.push({ ...line, status: 'capped', available });
+      } else {
+        lines.push({ ...line, status: 'merged' });
+      }
+    }
+
+    const coupons = await redisService.addCartCoupons(userId, promotionService.normalizeCodes(guestCart.coupons || []));
+    await redisService.deleteCart(guestCartId);
+
+    const cart = await redisService.getCart(userId);
+
+    return {
+      lines,
+      coupons: coupons || [],
+      conflicts: lines.filter(line => line.status !== 'merged').length,
+      itemCount: cart ? cart.items.reduce((sum, item) => sum + item.quantity, 0) : 0
+    };
+  }
+
+  // What changed for a line since it was added (or its notices were last
+  // acknowledged): the price in the shopper's currency, stock running low or
+  // out, or the product leaving the catalog. `available` is the stock
+  // available to this shopper now.
+  getLineNotices(cartItem, product, available, currency) {
+    if (!product || !product.isActive) {
+      return [{ type: 'removed', message: 'No longer available' }];
+    }
+
+    const notices = [];
+
+    if (typeof cartItem.price === 'number' && cartItem.price !== product.price) {
+      const previousPrice = currencyService.convert(cartItem.price, currency);
+      const price = currencyService.priceOf(product, currency);
+
+      if (price < previousPrice) {
+        notices.push({ type: 'price_dropped', message: 'Price dropped', previousPrice, price });
+      } else if (price > previousPrice) {
+        notices.push({ type: 'price_increased', message: 'Price increased', previousPrice, price });
+      }
+    }
+
+    // Lines added before availability was remembered only report shortfalls
+    const stockFell = typeof cartItem.available === 'number'
+      ? available < cartItem.available
+      : available < cartItem.quantity;
+
+    if (stockFell && available <= 0) {
+      notices.push({ type: 'out_of_stock', message: 'Now out of stock', available: 0 });
+    } else if (stockFell && (available <= LOW_STOCK_THRESHOLD || available < cartItem.quantity)) {
+      notices.push({ type: 'low_stock', message: `Only ${available} left`, available });
+    }
+
+    return notices;
+  }
+
+  // Accept the changes the notices report: lines remember the current price
+  // and stock, and lines whose product left the catalog are removed
+  async acknowledgeNotices(cartId, reservationId) {
+    const cart = await redisService.getCart(cartId);
+    if (!cart || cart.items.length === 0) return 0;
+
+    const products = await Product.find({
+      _id: { $in: cart.items.map(item => item.product) }
+    }).select('price stock isActive');
+    const activeProducts = products.filter(product => product.isActive);
+    const availableStock = await reservationService.getAvailableStockMap(activeProducts, reservationId);
+
+    const lines = cart.items.map(item => {
+      const product = activeProducts.find(p => p._id.toString() === item.product);
+      return product
+        ? { product: item.product, price: product.price, available: availableStock[item.product] }
+        : { product: item.product, price: null };
+    });
+
+    const itemCount = await redisService.rebaseCartItems(cartId, lines);
+    if (itemCount === null) {
+      throw httpError(503, 'Cart is temporarily unavailable');
+    }
+    return itemCount;
+  }
+}
+
+module.exports = new CartService();
@@ -0,0 +1,126 @@
+const Currency = require('../models/Currency');
+const redisService = require('./redisService');
+const { httpError } = require('../utils/httpError');
+const { BASE_CURRENCY, roundMoney } = require('../utils/money');
+
+const CURRENCY_CACHE_KEY = 'currencies';
+const CURRENCY_CACHE_TTL_SECONDS = parseInt(process.env.CURRENCY_CACHE_TTL_SECONDS) || 300;
+
+// Used when the base currency has no document of its own
+const BASE = {
+  code: BASE_CURRENCY,
+  name: BASE_CURRENCY,
+  rate: 1,
+  decimals: 2,
+  rounding: { increment: 0, mode: 'nearest' }
+};
+
+const ROUNDERS = {
+  nearest: Math.round,
+  up: Math.ceil,
+  down: Math.floor
+};
+
+class CurrencyService {
+  // Active currencies by code, including the base currency, cached in Redis
+  async getCurrencies() {
+    const cached = await redisService.get(CURRENCY_CACHE_KEY);
+    if (cached) return cached;
+
+    const currencies = { [BASE_CURRENCY]: BASE };
+    const documents = await Currency.find({ isActive: true });
+    for (const currency of documents) {
+      currencies[currency.code] = {
+        code: currency.code,
+        name: currency.name || currency.code,
+        // The base currency always converts 1:1
+        rate: currency.code === BASE_CURRENCY ? 1 : currency.rate,
+        decimals: currency.decimals,
+        rounding: {
+          increment: currency.rounding.increment,
+          mode: currency.rounding.mode
+        }
+      };
+    }
+
+    await redisService.set(CURRENCY_CACHE_KEY, currencies, CURRENCY_CACHE_TTL_SECONDS);
+    return currencies;
+  }
+
+  async invalidate() {
+    await redisService.del(CURRENCY_CACHE_KEY);
+  }
+
+  // A currency by code (the base currency when none is given)
+  async getCurrency(code) {
+    if (code === undefined || code === null || code === '') {
+      code = BASE_CURRENCY;
+    }
+
+    if (typeof code !== 'string') {
+      throw httpError(400, 'Currency must be a currency code');
+    }
+
+    const currencies = await this.getCurrencies();
+    const currency = currencies[code.trim().toUpperCase()];
+    if (!currency) {
+      throw httpError(400, `Unsupported currency '${code}'`, { supported: Object.keys(currencies) });
+    }
+    return currency;
+  }
+
+  // The currency code a request asks for: `currency` in the body or query
+  // string, then the X-Currency header
+  getRequestedCode(req) {
+    return (req.body && req.body.currency) || req.query.currency || req.get('X-Currency');
+  }
+
+  async fromRequest(req) {
+    return await this.getCurrency(this.getRequestedCode(req));
+  }
+
+  // Round an amount to the currency's smallest unit
+  roundAmount(amount, currency) {
+    const factor = Math.pow(10, currency.decimals);
+    return Math.round((Number(amount) + Number.EPSILON) * factor) / factor;
+  }
+
+  // Convert a base-currency amount and apply the currency's rounding rule
+  convert(amount, currency) {
+    if (currency.code === BASE_CURRENCY) return roundMoney(amount);
+
+    const value = amount * currency.rate;
+    const increment = currency.rounding.increment || Math.pow(10, -currency.decimals);
+    const round = ROUNDERS[currency.rounding.mode] || Math.round;
+    // Round the quotient first so e.g. 12.000000001 is not rounded up
+    const steps = round(Math.round((value / increment) * 1e6) / 1e6);
+    return this.roundAmount(steps * increment, currency);
+  }
+
+  // A product's unit price in a currency: its fixed price there if it has
+  // one, otherwise its base price converted
+  priceOf(product, currency) {
+    const fixed = (product.prices || []).find(price => price.currency === currency.code);
+    if (fixed) return fixed.amount;
+    return this.convert(product.price, currency);
+  }
+
+  // A product as shown to a shopper: price and original price in the
+  // currency, with the base price kept alongside
+  localizeProduct(product, currency) {
+    const data = product.toObject ? product.toObject() : { ...product };
+    const price = this.priceOf(product, currency);
+
+    data.currency = currency.code;
+    if (currency.code !== BASE_CURRENCY) {
+      data.basePrice = product.price;
+      data.price = price;
+      if (product.originalPrice) {
+        data.originalPrice = this.convert(product.originalPrice, currency);
+      }
+    }
+    return data;
+  }
+}
+
+module.exports = new CurrencyService();
@@ -0,0 +1,136 @@
+const Order = require('../models/Order');
+const { BASE_CURRENCY } = require('../utils/money');
+
+// Resolves once a full stream can take more data, or has been closed
+const waitForDrain = stream => new Promise(resolve => {
+  const done = () => {
+    stream.off('drain', done);
+    stream.off('close', done);
+    resolve();
+  };
+  stream.on('drain', done);
+  stream.on('close', done);
+});
+
+const customer = order => order.user || {};
+const address = order => order.shippingAddress || {};
+// Orders from before multi-currency support are in the base currency
+const currency = order => order.currency || { code: BASE_CURRENCY, rate: 1 };
+
+// CSV columns: [header, value for the row]
+const ORDER_COLUMNS = [
+  ['order_number', order => order.orderNumber],
+  ['created_at', order => order.createdAt],
+  ['customer_name', order => customer(order).name],
+  ['customer_email', order => customer(order).email],
+  ['order_status', order => order.orderStatus],
+  ['payment_status', order => order.paymentStatus],
+  ['payment_method', order => order.paymentMethod],
+  ['item_count', order => order.items.reduce((sum, item) => sum + item.quantity, 0)],
+  ['currency', order => currency(order).code],
+  ['exchange_rate', order => currency(order).rate],
+  ['subtotal', order => order.subtotal],
+  ['discount', order => order.discount],
+  ['shipping_cost', order => order.shippingCost],
+  ['tax', order => order.tax],
+  ['total', order => order.total],
+  ['paid_from_balance', order => order.balanceApplied || 0],
+  ['amount_refunded', order => order.payment?.amountRefunded || 0],
+  ['coupon_codes', order => (order.promotions || []).map(promotion => promotion.code).join(' ')],
+  ['shipping_method', order => order.shippingMethod?.code],
+  ['shipping_city', order => address(order).city],
+  ['shipping_state', order => address(order).state],
+  ['shipping_zip', order => address(order).zipCode],
+  ['shipping_country', order => address(order).country],
+  ['invoice_number', order => order.invoice?.number],
+  ['tracking_number', order => order.trackingNumber]
+];
+
+const ITEM_COLUMNS = [
+  ['order_number', (order) => order.orderNumber],
+  ['created_at', (order) => order.createdAt],
+  ['customer_email', (order) => customer(order).email],
+  ['order_status', (order) => order.orderStatus],
+  ['payment_status', (order) => order.paymentStatus],
+  ['product_id', (order, item) => item.product],
+  ['product_name', (order, item) => item.name],
+  ['quantity', (order, item) => item.quantity],
+  ['currency', (order) => currency(order).code],
+  ['unit_price', (order, item) => item.price],
+  ['line_total', (order, item) => Math.round(item.price * item.quantity * 100) / 100]
+];
+
+class ExportService {
+  csvValue(value) {
+    if (value === undefined || value === null) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value !== 'string') return String(value);
+
+    // Keep spreadsheets from evaluating text as formulas
+    const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  csvRow(values) {
+    return values.map(value => this.csvValue(value)).join(',') + '\r\n';
+  }
+
+  // Lines of output for one order
+  formatOrder(order, { format, rows }) {
+    if (format === 'jsonl') {
+      if (rows === 'item') {
+        return order.items.map(item => JSON.stringify({
+          orderNumber: order.orderNumber,
+          createdAt: order.createdAt,
+          customerEmail: customer(order).email,
+          orderStatus: order.orderStatus,
+          paymentStatus: order.paymentStatus,
+          currency: currency(order).code,
+          ...item
+        }) + '\n').join('');
+      }
+      return JSON.stringify(order) + '\n';
+    }
+
+    if (rows === 'item') {
+      return order.items
+        .map(item => this.csvRow(ITEM_COLUMNS.map(([, value]) => value(order, item))))
+        .join('');
+    }
+    return this.csvRow(ORDER_COLUMNS.map(([, value]) => value(order)));
+  }
+
+  // Stream matching orders to a writable, oldest first, one document at a
+  // time from a cursor. Stops early if the stream is closed.
+  async writeOrders(stream, filter, { format = 'csv', rows = 'order' } = {}) {
+    if (format === 'csv') {
+      const columns = rows === 'item' ? ITEM_COLUMNS : ORDER_COLUMNS;
+      stream.write(this.csvRow(columns.map(([header]) => header)));
+    }
+
+    const cursor = Order.find(filter)
+      .sort({ createdAt: 1 })
+      .populate('user', 'name email')
+      .lean()
+      .cursor();
+
+    let count = 0;
+    try {
+      for await (const order of cursor) {
+        if (stream.destroyed) break;
+
+        const chunk = this.formatOrder(order, { format, rows });
+        count++;
+        if (chunk && !stream.write(chunk)) {
+          await waitForDrain(stream);
+        }
+      }
+    } finally {
+      await cursor.close();
+    }
+
+    return count;
+  }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const orderLifecycleService = require('./orderLifecycleService');
+const { httpError } = require('../utils/httpError');
+
+// Order states in which parcels can be created
+const SHIPPABLE_STATES = ['confirmed', 'processing', 'partially_shipped'];
+
+// Allowed shipment transitions (admin only): current state -> next states
+const TRANSITIONS = {
+  pending: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+class FulfillmentService {
+  // Quantity of each order line covered by shipments that were not
+  // cancelled, keyed by order item ID
+  getAllocatedQuantities(order) {
+    const quantities = {};
+    for (const shipment of order.shipments) {
+      if (shipment.status === 'cancelled') continue;
+      for (const item of shipment.items) {
+        const key = item.orderItem.toString();
+        quantities[key] = (quantities[key] || 0) + item.quantity;
+      }
+    }
+    return quantities;
+  }
+
+  // The orderStatus the shipments add up to, or null if nothing has shipped
+  getRolledUpStatus(order) {
+    const totalUnits = order.items.reduce((sum, item) => sum + item.quantity, 0);
+    let shippedUnits = 0;
+    let deliveredUnits = 0;
+
+    for (const shipment of order.shipments) {
+      const units = shipment.items.reduce((sum, item) => sum + item.quantity, 0);
+      if (shipment.status === 'shipped' || shipment.status === 'delivered') shippedUnits += units;
+      if (shipment.status === 'delivered') deliveredUnits += units;
+    }
+
+    if (deliveredUnits >= totalUnits) return 'delivered';
+    if (shippedUnits >= totalUnits) return 'shipped';
+    if (shippedUnits > 0) return 'partially_shipped';
+    return null;
+  }
+
+  // When the last of the order's delivered shipments arrived
+  getLastDeliveredAt(order) {
+    const dates = order.shipments
+      .filter(shipment => shipment.status === 'delivered' && shipment.deliveredAt)
+      .map(shipment => shipment.deliveredAt.getTime());
+    return dates.length > 0 ? new Date(Math.max(...dates)) : undefined;
+  }
+
+  // Load an order, let `work` change its shipments and roll orderStatus up
+  // from them, all in one transaction. The roll-up is a system transition.
+  async updateShipments(orderId, work, note) {
+    const session = await mongoose.startSession();
+    let order;
+    let result;
+
+    try {
+      await session.withTransaction(async () => {
+        order = await Order.findById(orderId).session(session);
+
+        if (!order) {
+          throw httpError(404, 'Order not found');
+        }
+
+        result = await work(order);
+
+        const rolledUp = this.getRolledUpStatus(order);
+        if (rolledUp && rolledUp !== order.orderStatus) {
+          await orderLifecycleService.applyTransition(order, 'orderStatus', rolledUp, {
+            user: null,
+            note,
+            session,
+            at: rolledUp === 'delivered' ? this.getLastDeliveredAt(order) : undefined
+          });
+        }
+
+        await order.save({ session });
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw httpError(400, error.message);
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    return { order, shipment: result };
+  }
+
+  // Create a parcel for some quantities of some lines (all unallocated units
+  // when no items are given)
+  async createShipment(orderId, user, { items, carrier, trackingNumber } = {}) {
+    return await this.updateShipments(orderId, async (order) => {
+      if (!SHIPPABLE_STATES.includes(order.orderStatus)) {
+        throw httpError(409, `Cannot create shipments for an order that is ${order.orderStatus}`);
+      }
+
+      const allocated = this.getAllocatedQuantities(order);
+      const requested = items || order.items.map(line => ({
+        orderItem: line._id,
+        quantity: line.quantity - (allocated[line._id.toString()] || 0)
+      })).filter(item => item.quantity > 0);
+
+      if (!Array.isArray(requested) || requested.length === 0) {
+        throw httpError(400, 'Shipment must contain at least one item');
+      }
+
+      const shipmentItems = [];
+      for (const item of requested) {
+        const quantity = Number(item.quantity);
+        const orderItem = order.items.find(line =>
+          line._id.toString() === String(item.orderItem) ||
+          line.product.toString() === String(item.product)
+        );
+
+        if (!orderItem) {
+          throw httpError(400, `Item ${item.orderItem || item.product} is not part of this order`);
+        }
+
+        const key = orderItem._id.toString();
+        const remaining = orderItem.quantity - (allocated[key] || 0);
+
+        if (!Number.isInteger(quantity) || quantity < 1 || quantity > remaining) {
+          throw httpError(400, `Quantity for ${orderItem.name} must be between 1 and ${remaining}`, {
+            orderItem: orderItem._id,
+            unallocated: remaining
+          });
+        }
+
+        allocated[key] = (allocated[key] || 0) + quantity;
+        shipmentItems.push({
+          orderItem: orderItem._id,
+          product: orderItem.product,
+          name: orderItem.name,
+          quantity
+        });
+      }
+
+      order.shipments.push({
+        items: shipmentItems,
+        carrier,
+        trackingNumber,
+        createdBy: user._id
+      });
+      return order.shipments[order.shipments.length - 1];
+    });
+  }
+
+  // Move a shipment to 'shipped', 'delivered' or 'cancelled'. Carrier and
+  // tracking number can be set when it ships; `at` backdates the event.
+  async updateShipmentStatus(orderId, shipmentId, nextState, { carrier, trackingNumber, at, note } = {}) {
+    const eventDate = at ? new Date(at) : new Date();
+    if (isNaN(eventDate.getTime())) {
+      throw httpError(400, `Invalid date: ${at}`);
+    }
+
+    return await this.updateShipments(orderId, async (order) => {
+      const shipment = order.shipments.id(shipmentId);
+
+      if (!shipment) {
+        throw httpError(404, 'Shipment not found');
+      }
+
+      if (!TRANSITIONS[nextState]) {
+        throw httpError(400, `Invalid shipment status '${nextState}'`);
+      }
+
+      if (!TRANSITIONS[shipment.status].includes(nextState)) {
+        throw httpError(409, `Cannot change shipment from '${shipment.status}' to '${nextState}'`, {
+          current: shipment.status,
+          allowed: TRANSITIONS[shipment.status]
+        });
+      }
+
+      if (carrier) shipment.carrier = carrier;
+      if (trackingNumber) shipment.trackingNumber = trackingNumber;
+
+      if (nextState === 'shipped') {
+        if (!shipment.trackingNumber) {
+          throw httpError(400, 'A tracking number is required to ship');
+        }
+        shipment.shippedAt = eventDate;
+      }
+      if (nextState === 'delivered') {
+        shipment.deliveredAt = eventDate;
+      }
+
+      shipment.status = nextState;
+      return shipment;
+    }, note || `Shipment ${shipmentId} ${nextState}`);
+  }
+}
+
+module.exports = new FulfillmentService();
@@ -0,0 +1,363 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Order = require('../models/Order');
+const Return = require('../models/Return');
+const sequenceService = require('./sequenceService');
+const { httpError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+
+const STORE_NAME = process.env.STORE_NAME || 'Minimal E-commerce';
+const STORE_ADDRESS = process.env.STORE_ADDRESS || '';
+
+// Amounts in the order's currency, e.g. $1,234.50 or €9.99
+const formatMoney = (amount, currency) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency
+}).format(roundMoney(amount));
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const addressLines = (address) => {
+  if (!address) return [];
+  return [
+    address.street,
+    [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+    address.country
+  ].filter(Boolean);
+};
+
+// Builds invoices, credit notes and packing slips as a plain document
+// ({ title, number, parties, columns, lines, totals, notes }) and renders
+// that as HTML or PDF
+class InvoiceService {
+  // Number the order's invoice if it has none yet. Runs in the caller's
+  // transaction so a rolled-back order does not use up a number.
+  async assignInvoiceNumber(order, session) {
+    if (order.invoice && order.invoice.number) return;
+
+    order.invoice = {
+      number: await sequenceService.next('invoice', session),
+      issuedAt: new Date()
+    };
+  }
+
+  // Number the credit note for a refund just pushed onto the order
+  async assignCreditNoteNumber(order, refund, session) {
+    await this.assignInvoiceNumber(order, session);
+
+    refund.creditNoteNumber = await sequenceService.next('credit_note', session);
+  }
+
+  // Issue the invoice for an order on first request; later requests get the
+  // same number
+  async issueInvoice(orderId) {
+    const session = await mongoose.startSession();
+    let order;
+
+    try {
+      await session.withTransaction(async () => {
+        order = await Order.findById(orderId).populate('user', 'name email').session(session);
+
+        if (!order) {
+          throw httpError(404, 'Order not found');
+        }
+
+        const paid = ['paid', 'partially_refunded', 'refunded'].includes(order.paymentStatus);
+        if (order.orderStatus === 'cancelled' && !paid) {
+          throw httpError(409, 'Cancelled orders that were never paid have no invoice');
+        }
+
+        if (!order.invoice || !order.invoice.number) {
+          await this.assignInvoiceNumber(order, session);
+          await order.save({ session });
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    return order;
+  }
+
+  getParties(order) {
+    const customer = order.user && order.user.name ? [order.user.name] : [];
+    // Orders placed before billing addresses were recorded bill to the
+    // shipping address
+    const billing = order.billingAddress && order.billingAddress.street
+      ? order.billingAddress
+      : order.shippingAddress;
+
+    return [
+      { label: 'Bill to', lines: [...customer, ...addressLines(billing)] },
+      { label: 'Ship to', lines: [...customer, ...addressLines(order.shippingAddress)] }
+    ];
+  }
+
+  buildInvoice(order) {
+    const money = amount => formatMoney(amount, order.currency.code);
+    const totals = [{ label: 'Subtotal', amount: order.subtotal }];
+
+    for (const promotion of order.promotions) {
+      totals.push({ label: `Discount (${promotion.code})`, amount: -promotion.amount });
+    }
+    totals.push({ label: `Shipping${order.shippingMethod?.name ? ` (${order.shippingMethod.name})` : ''}`, amount: order.shippingCost });
+
+    if (order.taxBreakdown.length > 0) {
+      for (const entry of order.taxBreakdown) {
+        totals.push({ label: `${entry.name} (${roundMoney(entry.rate * 100)}%)`, amount: entry.amount });
+      }
+    } else {
+      totals.push({ label: 'Tax', amount: order.tax });
+    }
+    totals.push({ label: 'Total', amount: order.total, grand: true });
+
+    const notes = order.balancePayments.map(payment => payment.type === 'gift_card'
+      ? `Paid ${money(payment.amount)} with gift card ${payment.code}`
+      : `Paid ${money(payment.amount)} with store credit`);
+
+    // Refunds are reissued as credit notes against this invoice
+    notes.push(...order.refunds
+      .filter(refund => refund.creditNoteNumber)
+      .map(refund => `Credit note ${refund.creditNoteNumber} issued ${formatDate(refund.at)} for ${money(refund.amount)}` +
+        (refund.method === 'store_credit' ? ' (to store credit)' : '')));
+
+    return {
+      title: 'Invoice',
+      number: order.invoice.number,
+      meta: [
+        ['Invoice number', order.invoice.number],
+        ['Invoice date', formatDate(order.invoice.issuedAt)],
+        ['Order number', order.orderNumber],
+        ['Order date', formatDate(order.createdAt)],
+        ['Payment', `${order.paymentMethod} (${order.paymentStatus})`]
+      ],
+      parties: this.getParties(order),
+      columns: ['Item', 'Qty', 'Unit price', 'Amount'],
+      lines: order.items.map(item => [
+        item.name,
+        item.quantity,
+        money(item.price),
+        money(item.price * item.quantity)
+      ]),
+      totals: totals.map(total => ({ ...total, amount: money(total.amount) })),
+      notes
+    };
+  }
+
+  // Credit note for one refund: the returned items when it came from a
+  // return, otherwise a single refund line
+  async buildCreditNote(order, refundId) {
+    const money = amount => formatMoney(amount, order.currency.code);
+    const refund = order.refunds.id(refundId);
+
+    if (!refund || !refund.creditNoteNumber) {
+      throw httpError(404, 'Credit note not found');
+    }
+
+    const ret = refund.return ? await Return.findById(refund.return) : null;
+    const lines = ret
+      ? ret.items.map(item => ({ name: item.name, quantity: item.quantity, price: item.price }))
+      : [{ name: refund.reason || 'Refund', quantity: 1, price: refund.amount }];
+    const itemsValue = roundMoney(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+
+    const totals = [];
+    if (itemsValue !== refund.amount) {
+      totals.push({ label: 'Items', amount: itemsValue });
+      totals.push({ label: 'Tax and adjustments', amount: roundMoney(refund.amount - itemsValue) });
+    }
+    totals.push({ label: 'Total credited', amount: refund.amount, grand: true });
+
+    return {
+      title: 'Credit Note',
+      number: refund.creditNoteNumber,
+      meta: [
+        ['Credit note number', refund.creditNoteNumber],
+        ['Credit note date', formatDate(refund.at)],
+        ['Original invoice', order.invoice.number],
+        ['Order number', order.orderNumber],
+        ...(ret ? [['Return', ret.rmaNumber]] : [])
+      ],
+      parties: this.getParties(order).slice(0, 1),
+      columns: ['Item', 'Qty', 'Unit price', 'Amount'],
+      lines: lines.map(line => [
+        line.name,
+        line.quantity,
+        money(line.price),
+        money(line.price * line.quantity)
+      ]),
+      totals: totals.map(total => ({ ...total, amount: money(total.amount) })),
+      notes: refund.reason ? [`Reason: ${refund.reason}`] : []
+    };
+  }
+
+  // What the warehouse needs to pick and pack: no prices
+  buildPackingSlip(order) {
+    const method = order.shippingMethod || {};
+
+    return {
+      title: 'Packing Slip',
+      number: order.orderNumber,
+      meta: [
+        ['Order number', order.orderNumber],
+        ['Order date', formatDate(order.createdAt)],
+        ['Shipping method', [method.name, method.carrier].filter(Boolean).join(' - ') || 'Standard'],
+        ...(order.trackingNumber ? [['Tracking number', order.trackingNumber]] : [])
+      ],
+      parties: this.getParties(order).slice(1),
+      columns: ['Item', 'Product ID', 'Qty'],
+      lines: order.items.map(item => [
+        item.name,
+        (item.product._id || item.product).toString(),
+        item.quantity
+      ]),
+      totals: [{
+        label: 'Total units',
+        amount: String(order.items.reduce((sum, item) => sum + item.quantity, 0)),
+        grand: true
+      }],
+      notes: order.notes ? [order.notes] : []
+    };
+  }
+
+  renderHtml(document) {
+    const rows = document.lines.map(line =>
+      `<tr>${line.map((cell, i) => `<td${i > 0 ? ' class="num"' : ''}>${escapeHtml(cell)}</td>`).join('')}</tr>`
+    ).join('\n');
+    const totals = document.totals.map(total =>
+      `<tr${total.grand ? ' class="grand"' : ''}><td colspan="${document.columns.length - 1}">${escapeHtml(total.label)}</td>` +
+      `<td class="num">${escapeHtml(total.amount)}</td></tr>`
+    ).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.title)} ${escapeHtml(document.number)}</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; font-size: 13px; color: #222; margin: 40px; }
+h1 { font-size: 22px; margin: 0 0 4px; }
+.parties { display: flex; gap: 60px; margin: 24px 0; }
+.parties h3, .meta th { font-size: 12px; text-transform: uppercase; color: #666; text-align: left; }
+table.lines { width: 100%; border-collapse: collapse; margin-top: 16px; }
+table.lines th, table.lines td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+.num { text-align: right !important; }
+tr.grand td { font-weight: bold; border-top: 2px solid #222; }
+.notes { margin-top: 24px; color: #555; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(document.title)}</h1>
+<div>${escapeHtml(STORE_NAME)}${STORE_ADDRESS ? `<br>${escapeHtml(STORE_ADDRESS)}` : ''}</div>
+<table class="meta">
+${document.meta.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+<div class="parties">
+${document.parties.map(party => `<div><h3>${escapeHtml(party.label)}</h3>${party.lines.map(escapeHtml).join('<br>')}</div>`).join('\n')}
+</div>
+<table class="lines">
+<thead><tr>${document.columns.map((column, i) => `<th${i > 0 ? ' class="num"' : ''}>${escapeHtml(column)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows}
+${totals}
+</tbody>
+</table>
+${document.notes.length > 0 ? `<div class="notes">${document.notes.map(escapeHtml).join('<br>')}</div>` : ''}
+</body>
+</html>
+`;
+  }
+
+  // Resolves to the PDF bytes
+  renderPdf(document) {
+    return new Promise((resolve, reject) => {
+      const pdf = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+      pdf.on('data', chunk => chunks.push(chunk));
+      pdf.on('end', () => resolve(Buffer.concat(chunks)));
+      pdf.on('error', reject);
+
+      const left = pdf.page.margins.left;
+      const width = pdf.page.width - left - pdf.page.margins.right;
+
+      pdf.fontSize(20).font('Helvetica-Bold').text(document.title);
+      pdf.fontSize(10).font('Helvetica').text(STORE_NAME);
+      if (STORE_ADDRESS) pdf.text(STORE_ADDRESS);
+      pdf.moveDown();
+
+      for (const [label, value] of document.meta) {
+        pdf.font('Helvetica-Bold').text(`${label}: `, { continued: true })
+          .font('Helvetica').text(String(value));
+      }
+      pdf.moveDown();
+
+      const partiesTop = pdf.y;
+      let partiesBottom = partiesTop;
+      document.parties.forEach((party, i) => {
+        const x = left + i * (width / 2);
+        pdf.font('Helvetica-Bold').text(party.label, x, partiesTop, { width: width / 2 });
+        pdf.font('Helvetica').text(party.lines.join('\n'), x, pdf.y, { width: width / 2 });
+        partiesBottom = Math.max(partiesBottom, pdf.y);
+      });
+      pdf.x = left;
+      pdf.y = partiesBottom;
+      pdf.moveDown();
+
+      // First column takes the remaining width, the others are fixed
+      const numberWidth = 80;
+      const firstWidth = width - numberWidth * (document.columns.length - 1);
+      const drawRow = (cells, font) => {
+        const top = pdf.y;
+        pdf.font(font);
+        const heights = cells.map((cell, i) => {
+          const x = i === 0 ? left : left + firstWidth + (i - 1) * numberWidth;
+          const options = { width: i === 0 ? firstWidth - 8 : numberWidth, align: i === 0 ? 'left' : 'right' };
+          pdf.text(String(cell), x, top, options);
+          return pdf.y - top;
+        });
+        pdf.x = left;
+        pdf.y = top + Math.max(...heights) + 4;
+      };
+
+      drawRow(document.columns, 'Helvetica-Bold');
+      pdf.moveTo(left, pdf.y).lineTo(left + width, pdf.y).stroke();
+      pdf.y += 4;
+      for (const line of document.lines) {
+        drawRow(line, 'Helvetica');
+      }
+      pdf.moveTo(left, pdf.y).lineTo(left + width, pdf.y).stroke();
+      pdf.y += 4;
+
+      for (const total of document.totals) {
+        const top = pdf.y;
+        pdf.font(total.grand ? 'Helvetica-Bold' : 'Helvetica');
+        pdf.text(total.label, left, top, { width: width - numberWidth - 8, align: 'right' });
+        pdf.text(String(total.amount), left + width - numberWidth, top, { width: numberWidth, align: 'right' });
+        pdf.x = left;
+        pdf.y = Math.max(pdf.y, top + 12) + 4;
+      }
+
+      if (document.notes.length > 0) {
+        pdf.moveDown();
+        pdf.font('Helvetica').fillColor('#555555').text(document.notes.join('\n'), left, pdf.y, { width });
+      }
+
+      pdf.end();
+    });
+  }
+
+  async render(document, format) {
+    if (format === 'html') {
+      return { contentType: 'text/html; charset=utf-8', body: this.renderHtml(document), extension: 'html' };
+    }
+    return { contentType: 'application/pdf', body: await this.renderPdf(document), extension: 'pdf' };
+  }
+}
+
+module.exports = new InvoiceService();
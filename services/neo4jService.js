@@ -140,8 +140,8 @@ class Neo4jService {
     const session = this.getSession();
     try {
       const result = await session.run(
-        `MATCH (u:User {id: $userId})-[:VIEWED|PURCHASED]->(p:Product)-[:SIMILAR_TO]-(recommended:Product)
-         WHERE NOT (u)-[:VIEWED|PURCHASED]->(recommended)
+        `MATCH (u:User {id: $userId})-[:VIEWED|PURCHASED|WISHLISTED]->(p:Product)-[:SIMILAR_TO]-(recommended:Product)
+         WHERE NOT (u)-[:VIEWED|PURCHASED|WISHLISTED]->(recommended)
          RETURN DISTINCT recommended, COUNT(*) as score
          ORDER BY score DESC, recommended.rating DESC
          LIMIT $limit`,
@@ -168,7 +168,7 @@ class Neo4jService {
     try {
       const cutoffTime = Date.now() - timeWindow;
       const result = await session.run(
-        `MATCH (u:User)-[r:VIEWED|PURCHASED]->(p:Product)
+        `MATCH (u:User)-[r:VIEWED|PURCHASED|WISHLISTED]->(p:Product)
          WHERE r.timestamp > $cutoffTime
          RETURN p, COUNT(*) as interactionCount
          ORDER BY interactionCount DESC, p.rating DESC
@@ -195,7 +195,7 @@ class Neo4jService {
     const session = this.getSession();
     try {
       const result = await session.run(
-        `MATCH (u1:User {id: $userId})-[:VIEWED|PURCHASED]->(p:Product)<-[:VIEWED|PURCHASED]-(u2:User)
+        `MATCH (u1:User {id: $userId})-[:VIEWED|PURCHASED|WISHLISTED]->(p:Product)<-[:VIEWED|PURCHASED|WISHLISTED]-(u2:User)
          WHERE u1 <> u2
          RETURN u2, COUNT(*) as commonProducts
          ORDER BY commonProducts DESC
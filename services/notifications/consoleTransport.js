@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Prints messages to the server log, for development
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send({ to, subject, text }) {
+    const id = `msg_${crypto.randomBytes(8).toString('hex')}`;
+    console.log(`✉️  [${id}] To: ${to}\nSubject: ${subject}\n\n${text}\n`);
+    return { id };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Appends each message as one JSON line to a local file, so messages can be
+// inspected or picked up by another process
+class FileTransport {
+  constructor() {
+    this.name = 'file';
+    this.filePath = path.resolve(process.env.NOTIFIER_FILE_PATH || 'logs/notifications.log');
+  }
+
+  async send(message) {
+    const id = `msg_${crypto.randomBytes(8).toString('hex')}`;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, `${JSON.stringify({ id, sentAt: new Date(), ...message })}\n`);
+    return { id };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,38 @@
+const ConsoleTransport = require('./notifications/consoleTransport');
+const FileTransport = require('./notifications/fileTransport');
+
+// Transports implement:
+//   send({ to, subject, text, data }) -> { id }
+// and throw when the message could not be handed over. `data` carries the
+// structured content (e.g. links) for transports that render their own
+// templates.
+class NotifierService {
+  constructor() {
+    this.transports = {};
+    this.registerTransport(new ConsoleTransport());
+    this.registerTransport(new FileTransport());
+  }
+
+  registerTransport(transport) {
+    this.transports[transport.name] = transport;
+  }
+
+  // NOTIFIER_TRANSPORT picks the transport; console by default
+  getTransport() {
+    const name = process.env.NOTIFIER_TRANSPORT || 'console';
+    const transport = this.transports[name];
+    if (!transport) {
+      throw new Error(`Unknown notifier transport '${name}'`);
+    }
+    return transport;
+  }
+
+  // Returns the transport used and its message ID
+  async send(message) {
+    const transport = this.getTransport();
+    const { id } = await transport.send(message);
+    return { transport: transport.name, id };
+  }
+}
+
+module.exports = new NotifierService();
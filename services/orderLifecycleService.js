@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const promotionService = require('./promotionService');
+const balanceService = require('./balanceService');
+const { httpError } = require('../utils/httpError');
+
+// Allowed transitions per status field: current state -> next state -> roles
+// that may trigger it. 'owner' is the customer who placed the order and
+// 'system' covers background jobs and payment callbacks.
+const TRANSITIONS = {
+  orderStatus: {
+    pending: {
+      confirmed: ['admin', 'system'],
+      cancelled: ['owner', 'admin', 'system']
+    },
+    confirmed: {
+      processing: ['admin', 'system'],
+      partially_shipped: ['system'],
+      shipped: ['system'],
+      cancelled: ['owner', 'admin', 'system']
+    },
+    processing: {
+      partially_shipped: ['system'],
+      shipped: ['admin', 'system'],
+      cancelled: ['admin', 'system']
+    },
+    // Rolled up from shipments by the fulfillment service
+    partially_shipped: {
+      shipped: ['system']
+    },
+    shipped: {
+      delivered: ['admin', 'system']
+    },
+    delivered: {},
+    cancelled: {}
+  },
+  paymentStatus: {
+    pending: {
+      authorized: ['system'],
+      paid: ['admin', 'system'],
+      failed: ['admin', 'system']
+    },
+    authorized: {
+      paid: ['admin', 'system'],
+      voided: ['admin', 'system'],
+      failed: ['system']
+    },
+    failed: {
+      pending: ['owner', 'admin', 'system'],
+      authorized: ['system'],
+      paid: ['admin', 'system']
+    },
+    voided: {
+      pending: ['owner', 'admin', 'system']
+    },
+    paid: {
+      partially_refunded: ['admin', 'system'],
+      refunded: ['admin', 'system']
+    },
+    partially_refunded: {
+      partially_refunded: ['admin', 'system'],
+      refunded: ['admin', 'system']
+    },
+    refunded: {}
+  }
+};
+
+class OrderLifecycleService {
+  constructor() {
+    // Side effects run inside the transition's transaction, keyed by
+    // `${field}:${nextState}`
+    this.sideEffects = {
+      'orderStatus:cancelled': async (order, { note, session }) => {
+        await balanceService.revokeOrderGiftCards(order, { note: 'Order cancelled', session });
+        await this.restockItems(order, session);
+        await promotionService.release(order._id, session);
+        await balanceService.reverseRedemptions(order, { note: 'Order cancelled', session });
+        order.cancelledAt = new Date();
+        if (note) {
+          order.cancellationReason = note.slice(0, 200);
+        }
+      },
+      // `at` carries a backdated delivery, e.g. from the last shipment
+      'orderStatus:delivered': async (order, { at }) => {
+        order.deliveredAt = at || new Date();
+      },
+      'paymentStatus:paid': async (order, { session }) => {
+        // Gift cards of a cancelled order were never issued or were revoked
+        if (order.orderStatus === 'cancelled') return;
+        await balanceService.issueOrderGiftCards(order, session);
+      }
+    };
+  }
+
+  // Resolve the role an actor plays for a given order (null if unrelated)
+  getActorRole(order, user) {
+    if (!user) return 'system';
+    if (user.role === 'admin') return 'admin';
+
+    const ownerId = order.user._id || order.user;
+    return ownerId.toString() === user._id.toString() ? 'owner' : null;
+  }
+
+  // Next states the given role may move a status field to
+  getAllowedTransitions(field, currentState, role) {
+    const nextStates = TRANSITIONS[field]?.[currentState] || {};
+
+    return Object.keys(nextStates).filter(state => nextStates[state].includes(role));
+  }
+
+  assertTransition(order, field, nextState, role) {
+    if (!TRANSITIONS[field]) {
+      throw httpError(400, `Unknown status field '${field}'`);
+    }
+
+    const currentState = order[field];
+    const allowed = this.getAllowedTransitions(field, currentState, role);
+    const details = { field, current: currentState, allowed };
+
+    if (!TRANSITIONS[field][nextState]) {
+      throw httpError(400, `Invalid ${field} '${nextState}'`, details);
+    }
+
+    const roles = TRANSITIONS[field][currentState]?.[nextState];
+
+    if (!roles) {
+      throw httpError(409, `Cannot change ${field} from '${currentState}' to '${nextState}'`, details);
+    }
+
+    if (!roles.includes(role)) {
+      throw httpError(403, `Role '${role}' cannot change ${field} from '${currentState}' to '${nextState}'`, details);
+    }
+  }
+
+  // Put the stock of every line item back, skipping products deleted since
+  async restockItems(order, session) {
+    for (const item of order.items) {
+      await Product.updateOne(
+        { _id: item.product },
+        { $inc: { stock: item.quantity } },
+        { session }
+      );
+    }
+  }
+
+  // Move an order document to a new state and record it in statusHistory.
+  // Must run inside the caller's transaction. `at` is when the change really
+  // happened, for side effects that record it.
+  async applyTransition(order, field, nextState, { user, note, session, at }) {
+    const role = this.getActorRole(order, user);
+
+    if (!role) {
+      throw httpError(403, 'Access denied');
+    }
+
+    this.assertTransition(order, field, nextState, role);
+
+    const sideEffect = this.sideEffects[`${field}:${nextState}`];
+    if (sideEffect) {
+      await sideEffect(order, { note, session, at });
+    }
+
+    order.statusHistory.push({
+      field,
+      from: order[field],
+      to: nextState,
+      actor: user ? user._id : undefined,
+      actorRole: role,
+      note
+    });
+    order[field] = nextState;
+  }
+
+  // Apply one or more status changes ({ orderStatus, paymentStatus }) to an
+  // order atomically. `update(order, session)` may change other fields in the
+  // same transaction. Pass user = null for system-triggered transitions.
+  async transition(orderId, changes, user, { note, update } = {}) {
+    const session = await mongoose.startSession();
+    let order;
+
+    try {
+      await session.withTransaction(async () => {
+        order = await Order.findById(orderId).session(session);
+
+        if (!order) {
+          throw httpError(404, 'Order not found');
+        }
+
+        for (const field of Object.keys(changes)) {
+          if (changes[field]) {
+            await this.applyTransition(order, field, changes[field], { user, note, session });
+          }
+        }
+
+        if (update) {
+          await update(order, session);
+        }
+
+        await order.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    return order;
+  }
+}
+
+module.exports = new OrderLifecycleService();
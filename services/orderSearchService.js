@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { httpError } = require('../utils/httpError');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_LIMIT = 100;
+// Customers matched by a name or email search; more means the term is too
+// vague to be useful on a support call
+const MAX_MATCHED_CUSTOMERS = 500;
+
+// Sortable fields (prefix with '-' for descending)
+const SORT_FIELDS = ['createdAt', 'total', 'orderNumber', 'orderStatus', 'paymentStatus'];
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class OrderSearchService {
+  parseDate(value, name) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw httpError(400, `Invalid '${name}' date: ${value}`);
+    return date;
+  }
+
+  parseAmount(value, name) {
+    const amount = Number(value);
+    if (!Number.isFinite(amount)) throw httpError(400, `Invalid '${name}': ${value}`);
+    return amount;
+  }
+
+  // IDs of customers whose email or name starts with the term
+  async findCustomerIds(term) {
+    const pattern = new RegExp(`^${escapeRegex(term.trim())}`, 'i');
+    const users = await User.find({
+      $or: [{ email: pattern }, { name: pattern }]
+    }).select('_id').limit(MAX_MATCHED_CUSTOMERS + 1);
+
+    if (users.length > MAX_MATCHED_CUSTOMERS) {
+      throw httpError(400, 'Customer search matches too many customers; be more specific');
+    }
+    return users.map(user => user._id);
+  }
+
+  // Anchored and case-sensitive, so each regex is a bounded scan of the
+  // orderNumber index. Numbers are upper case with the default format, so the
+  // upper-cased prefix is tried as well.
+  orderNumberPrefix(prefix) {
+    return {
+      $in: [...new Set([prefix, prefix.toUpperCase()])].map(term => new RegExp(`^${escapeRegex(term)}`))
+    };
+  }
+
+  // Mongo filter for the admin order list and export:
+  // - status, paymentStatus: exact
+  // - from, to: createdAt range (a date-only `to` includes that day)
+  // - minTotal, maxTotal: total range
+  // - orderNumber: prefix, as typed or upper-cased
+  // - customer: email or name prefix
+  // - product: product ID, or item name substring
+  // - trackingNumber: the order's or any shipment's
+  // - q: order number, tracking number or customer, whichever matches
+  async buildFilter(rawQuery = {}) {
+    // Only plain strings, so query operators like status[$ne]= are ignored
+    const query = Object.fromEntries(
+      Object.entries(rawQuery).filter(([, value]) => typeof value === 'string' && value.trim() !== '')
+    );
+    const filter = {};
+    const and = [];
+
+    if (query.status) filter.orderStatus = query.status;
+    if (query.paymentStatus) filter.paymentStatus = query.paymentStatus;
+
+    if (query.from || query.to) {
+      filter.createdAt = {};
+      if (query.from) filter.createdAt.$gte = this.parseDate(query.from, 'from');
+      if (query.to) {
+        const end = this.parseDate(query.to, 'to');
+        if (DATE_ONLY.test(query.to)) {
+          end.setUTCDate(end.getUTCDate() + 1);
+          filter.createdAt.$lt = end;
+        } else {
+          filter.createdAt.$lte = end;
+        }
+      }
+    }
+
+    if (query.minTotal !== undefined || query.maxTotal !== undefined) {
+      filter.total = {};
+      if (query.minTotal !== undefined) filter.total.$gte = this.parseAmount(query.minTotal, 'minTotal');
+      if (query.maxTotal !== undefined) filter.total.$lte = this.parseAmount(query.maxTotal, 'maxTotal');
+    }
+
+    if (query.orderNumber) {
+      filter.orderNumber = this.orderNumberPrefix(query.orderNumber.trim());
+    }
+
+    if (query.customer) {
+      filter.user = { $in: await this.findCustomerIds(query.customer) };
+    }
+
+    if (query.product) {
+      if (mongoose.isValidObjectId(query.product)) {
+        filter['items.product'] = query.product;
+      } else {
+        filter['items.name'] = new RegExp(escapeRegex(query.product.trim()), 'i');
+      }
+    }
+
+    if (query.trackingNumber) {
+      const trackingNumber = query.trackingNumber.trim();
+      and.push({
+        $or: [
+          { trackingNumber },
+          { 'shipments.trackingNumber': trackingNumber }
+        ]
+      });
+    }
+
+    if (query.q) {
+      const term = query.q.trim();
+      const or = [
+        { orderNumber: this.orderNumberPrefix(term) },
+        { trackingNumber: term },
+        { 'shipments.trackingNumber': term }
+      ];
+      if (mongoose.isValidObjectId(term)) or.push({ _id: term });
+
+      // A vague term still searches numbers, just not customers
+      const customerIds = await this.findCustomerIds(term).catch(() => []);
+      if (customerIds.length > 0) or.push({ user: { $in: customerIds } });
+
+      and.push({ $or: or });
+    }
+
+    if (and.length > 0) filter.$and = and;
+    return filter;
+  }
+
+  // Sort spec from e.g. '-total'; _id breaks ties so pages never overlap
+  // or skip orders that share a sort value
+  buildSort(sort = '-createdAt') {
+    if (typeof sort !== 'string') sort = '-createdAt';
+    const field = sort.replace(/^-/, '');
+    if (!SORT_FIELDS.includes(field)) {
+      throw httpError(400, `Sort must be one of: ${SORT_FIELDS.join(', ')} (prefix '-' for descending)`);
+    }
+
+    const direction = sort.startsWith('-') ? -1 : 1;
+    return { [field]: direction, _id: direction };
+  }
+
+  async search(query = {}) {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_LIMIT);
+    const filter = await this.buildFilter(query);
+    const sort = this.buildSort(query.sort);
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'name email')
+        .populate('items.product', 'name'),
+      Order.countDocuments(filter)
+    ]);
+
+    return {
+      orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = new OrderSearchService();
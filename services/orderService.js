@@ -0,0 +1,506 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const neo4jService = require('./neo4jService');
+const redisService = require('./redisService');
+const reservationService = require('./reservationService');
+const promotionService = require('./promotionService');
+const taxService = require('./taxService');
+const shippingService = require('./shippingService');
+const currencyService = require('./currencyService');
+const balanceService = require('./balanceService');
+const orderLifecycleService = require('./orderLifecycleService');
+const cartAbandonmentService = require('./cartAbandonmentService');
+const { httpError } = require('../utils/httpError');
+const { BASE_CURRENCY, roundMoney } = require('../utils/money');
+
+class OrderService {
+  // Validate the requested line items before touching the database
+  normalizeItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw httpError(400, 'Order must contain at least one item');
+    }
+
+    return items.map(item => {
+      const quantity = Number(item.quantity);
+
+      if (!mongoose.isValidObjectId(item.product)) {
+        throw httpError(400, `Invalid product ID ${item.product}`);
+      }
+
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw httpError(400, `Invalid quantity for product ${item.product}`);
+      }
+
+      return { product: item.product.toString(), quantity };
+    });
+  }
+
+  // Decrement stock only if enough is left after other shoppers' holds. The
+  // filter and the $inc run as a single atomic update, so two buyers can
+  // never both take the last unit.
+  async reserveProductStock(item, session, heldQuantity = 0) {
+    const product = await Product.findOneAndUpdate(
+      { _id: item.product, isActive: true, stock: { $gte: item.quantity + heldQuantity } },
+      { $inc: { stock: -item.quantity } },
+      { new: true, session }
+    );
+
+    if (!product) {
+      const existing = await Product.findById(item.product).session(session);
+
+      if (!existing || !existing.isActive) {
+        throw httpError(404, `Product with ID ${item.product} not found`);
+      }
+
+      throw httpError(400, `Insufficient stock for product ${existing.name}`, {
+        product: existing._id,
+        available: Math.max(existing.stock - heldQuantity, 0),
+        requested: item.quantity
+      });
+    }
+
+    return product;
+  }
+
+  // Work out the money side of an order from its priced lines
+  // ([{ product, category, price, basePrice, quantity, weight, dimensions }])
+  // in the order's currency. Shipping rates are looked up with base prices
+  // and converted. Codes that no longer apply block the order so the shopper
+  // never pays more than they were shown.
+  async priceOrder(lines, { user, shippingAddress, shippingMethod, couponCodes, currency }, session) {
+    if (!shippingAddress) {
+      throw httpError(400, 'Shipping address is required');
+    }
+
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+    const shipping = await shippingService.selectMethod({
+      lines: lines.map(line => ({ ...line, price: line.basePrice })),
+      shippingAddress,
+      shippingMethod,
+      currency
+    }, session);
+    const shippingCost = shipping.price;
+
+    const promotions = await promotionService.evaluate(couponCodes, {
+      userId: user._id,
+      lines,
+      shippingCost,
+      rate: currency.rate
+    }, session);
+
+    if (promotions.rejected.length > 0) {
+      throw httpError(409, 'Some codes can no longer be applied', { rejected: promotions.rejected });
+    }
+
+    // Tax is charged on what the shopper pays after discounts
+    const { tax, breakdown } = await taxService.calculate({
+      lines,
+      lineDiscounts: promotions.lineDiscounts,
+      shippingAddress,
+      shippingCost,
+      shippingDiscount: promotions.shippingDiscount
+    }, session);
+
+    const discount = currencyService.roundAmount(promotions.discount, currency);
+    const roundedTax = currencyService.roundAmount(tax, currency);
+    const total = currencyService.roundAmount(subtotal + roundedTax + shippingCost - discount, currency);
+
+    return {
+      subtotal,
+      shippingCost,
+      shippingMethod: shipping,
+      tax: roundedTax,
+      taxBreakdown: breakdown,
+      discount,
+      lineDiscounts: promotions.lineDiscounts.map(amount => currencyService.roundAmount(amount, currency)),
+      total,
+      promotions: promotions.applied
+    };
+  }
+
+  // Create an order inside a MongoDB transaction: either every stock
+  // decrement, promotion redemption, gift card or store credit debit and the
+  // order document commit together, or nothing does. The user's checkout
+  // reservation (if any) is excluded from the holds the order has to respect,
+  // and is released once its quantities are committed.
+  async placeOrder(user, {
+    items,
+    shippingAddress,
+    billingAddress,
+    shippingMethod,
+    paymentMethod,
+    reservationId,
+    couponCodes,
+    currency: currencyCode,
+    giftCardCodes,
+    useStoreCredit
+  }) {
+    const lineItems = this.normalizeItems(items);
+    const usesBalance = (Array.isArray(giftCardCodes) ? giftCardCodes.length > 0 : Boolean(giftCardCodes)) ||
+      Boolean(useStoreCredit);
+    const currency = await currencyService.getCurrency(currencyCode);
+    const userId = user._id.toString();
+    const reservation = await reservationService.getReservation(
+      reservationId || await reservationService.getUserReservationId(userId),
+      userId
+    );
+
+    const heldByOthers = {};
+    for (const item of lineItems) {
+      heldByOthers[item.product] = await redisService.getHeldQuantity(item.product, reservation?.id);
+    }
+
+    const session = await mongoose.startSession();
+    let order;
+
+    try {
+      // withTransaction retries the callback on transient errors, so all
+      // state is rebuilt from scratch on every attempt
+      await session.withTransaction(async () => {
+        const orderItems = [];
+        const lines = [];
+
+        for (const item of lineItems) {
+          const product = await this.reserveProductStock(item, session, heldByOthers[item.product]);
+          const price = currencyService.priceOf(product, currency);
+
+          lines.push({
+            product: product._id,
+            category: product.category,
+            price,
+            basePrice: product.price,
+            quantity: item.quantity,
+            weight: product.weight,
+            dimensions: product.dimensions
+          });
+
+          orderItems.push({
+            product: product._id,
+            quantity: item.quantity,
+            price,
+            name: product.name,
+            image: product.images[0]?.url || '',
+            isGiftCard: product.isGiftCard
+          });
+        }
+
+        const pricing = await this.priceOrder(lines, {
+          user,
+          shippingAddress,
+          shippingMethod,
+          couponCodes,
+          currency
+        }, session);
+        const { estimatedDays } = pricing.shippingMethod;
+        orderItems.forEach((item, i) => {
+          item.discount = pricing.lineDiscounts[i];
+        });
+
+        [order] = await Order.create([{
+          user: user._id,
+          items: orderItems,
+          shippingAddress,
+          billingAddress: billingAddress || shippingAddress,
+          // Orders paid in full from balances need no other method
+          paymentMethod: paymentMethod || (usesBalance ? 'gift_card' : undefined),
+          currency: { code: currency.code, rate: currency.rate },
+          subtotal: pricing.subtotal,
+          tax: pricing.tax,
+          taxBreakdown: pricing.taxBreakdown,
+          shippingCost: pricing.shippingCost,
+          shippingMethod: pricing.shippingMethod,
+          estimatedDelivery: estimatedDays && estimatedDays.max
+            ? new Date(Date.now() + estimatedDays.max * 24 * 60 * 60 * 1000)
+            : undefined,
+          discount: pricing.discount,
+          total: pricing.total,
+          promotions: pricing.promotions,
+          statusHistory: [
+            { field: 'orderStatus', to: 'pending', actor: user._id, actorRole: 'owner' },
+            { field: 'paymentStatus', to: 'pending', actor: user._id, actorRole: 'owner' }
+          ]
+        }], { session });
+
+        await promotionService.redeem(pricing.promotions, {
+          userId: user._id,
+          orderId: order._id
+        }, session);
+
+        if (usesBalance) {
+          await this.applyBalances(order, { giftCardCodes, useStoreCredit, user }, session);
+        }
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw httpError(400, error.message);
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    if (reservation) {
+      await reservationService.releaseReservation(reservation);
+    }
+
+    await this.trackPurchases(user, order);
+
+    return order;
+  }
+
+  // Pay what gift cards and store credit cover. An order they cover in full
+  // is paid straight away; otherwise the payment method must take the rest.
+  async applyBalances(order, { giftCardCodes, useStoreCredit, user }, session) {
+    order.balancePayments = await balanceService.redeem(order, {
+      giftCardCodes,
+      useStoreCredit,
+      actor: user._id
+    }, session);
+    order.balanceApplied = roundMoney(order.balancePayments.reduce((sum, payment) => sum + payment.amount, 0));
+
+    if (order.amountDue > 0) {
+      if (['gift_card', 'store_credit'].includes(order.paymentMethod)) {
+        throw httpError(400, `A payment method is required for the remaining ${order.amountDue}`, {
+          balanceApplied: order.balanceApplied,
+          amountDue: order.amountDue
+        });
+      }
+    } else {
+      if (order.balancePayments.every(payment => payment.type === 'store_credit')) {
+        order.paymentMethod = 'store_credit';
+      }
+      await orderLifecycleService.applyTransition(order, 'paymentStatus', 'paid', {
+        user: null,
+        note: 'Paid with gift card or store credit',
+        session
+      });
+    }
+
+    await order.save({ session });
+  }
+
+  // Compare a stored cart with the current catalog. Each line that no longer
+  // matches what the shopper saw when adding it is reported in `changes`.
+  async reviewCart(userId) {
+    const cart = await redisService.getCart(userId);
+
+    if (!cart || !cart.items || cart.items.length === 0) {
+      throw httpError(400, 'Cart is empty');
+    }
+
+    const products = await Product.find({
+      _id: { $in: cart.items.map(item => item.product) }
+    }).select('name price stock isActive');
+
+    const reservationId = await reservationService.getUserReservationId(userId);
+    const items = [];
+    const changes = [];
+
+    for (const cartItem of cart.items) {
+      const product = products.find(p => p._id.toString() === cartItem.product);
+
+      if (!product || !product.isActive) {
+        changes.push({ product: cartItem.product, type: 'removed', blocking: true });
+        continue;
+      }
+
+      const available = await reservationService.getAvailableStock(product, reservationId);
+      const change = { product: product._id, name: product.name };
+
+      if (available === 0) {
+        changes.push({ ...change, type: 'out_of_stock', blocking: true });
+        continue;
+      }
+
+      if (available < cartItem.quantity) {
+        changes.push({
+          ...change,
+          type: 'insufficient_stock',
+          blocking: true,
+          requested: cartItem.quantity,
+          available
+        });
+        continue;
+      }
+
+      // Carts created before prices were stored have nothing to compare
+      if (cartItem.price !== undefined && cartItem.price !== product.price) {
+        changes.push({
+          ...change,
+          type: 'price_changed',
+          blocking: false,
+          oldPrice: cartItem.price,
+          newPrice: product.price
+        });
+      }
+
+      items.push({ product: cartItem.product, quantity: cartItem.quantity });
+    }
+
+    return { items, changes, coupons: cart.coupons || [] };
+  }
+
+  // Place an order from the user's Redis cart. Lines that were removed or
+  // ran out of stock always block checkout; price changes block it unless
+  // the shopper has seen and accepted them. The cart is cleared only once
+  // the order has committed.
+  async checkoutCart(user, {
+    shippingAddress,
+    billingAddress,
+    shippingMethod,
+    paymentMethod,
+    reservationId,
+    couponCodes,
+    currency,
+    giftCardCodes,
+    useStoreCredit,
+    acceptChanges = false
+  }) {
+    const userId = user._id.toString();
+    const { items, changes, coupons } = await this.reviewCart(userId);
+
+    const blocking = changes.some(change => change.blocking);
+    if (blocking || (changes.length > 0 && !acceptChanges)) {
+      throw httpError(409, 'Your cart has changed since items were added', { changes });
+    }
+
+    const order = await this.placeOrder(user, {
+      items,
+      shippingAddress,
+      billingAddress,
+      shippingMethod,
+      paymentMethod,
+      reservationId,
+      couponCodes: couponCodes || coupons,
+      currency,
+      giftCardCodes,
+      useStoreCredit
+    });
+
+    await redisService.deleteCart(userId);
+
+    // Checking out after abandoning the cart counts as a recovery
+    try {
+      await cartAbandonmentService.markRecovered(userId, order);
+    } catch (error) {
+      console.error('Cart recovery tracking error:', error);
+    }
+
+    return { order, changes };
+  }
+
+  // An order's currency at the exchange rate frozen on the order, to price
+  // products the way the order was priced. A currency deactivated since
+  // falls back to the base currency's rounding.
+  async getOrderCurrency(order) {
+    const currencies = await currencyService.getCurrencies();
+    const currency = currencies[order.currency.code] || currencies[BASE_CURRENCY];
+    return { ...currency, code: order.currency.code, rate: order.currency.rate };
+  }
+
+  // Copy a past order's lines into the user's Redis cart at current prices.
+  // Lines for products that are gone, inactive or out of stock are dropped;
+  // lines short on stock are capped at what can still be added. Returns a
+  // report per order line: status 'added', 'changed' (capped quantity or new
+  // price) or 'dropped', with the reason.
+  async reorder(user, orderId) {
+    const userId = user._id.toString();
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      throw httpError(404, 'Order not found');
+    }
+
+    if (order.user.toString() !== userId) {
+      throw httpError(403, 'Access denied');
+    }
+
+    const products = await Product.find({
+      _id: { $in: order.items.map(item => item.product) }
+    }).select('name price prices stock isActive');
+
+    const currency = await this.getOrderCurrency(order);
+    const reservationId = await reservationService.getUserReservationId(userId);
+    const lines = [];
+    let itemCount = null;
+
+    for (const orderItem of order.items) {
+      const productId = orderItem.product.toString();
+      const product = products.find(p => p._id.toString() === productId);
+      const line = {
+        product: productId,
+        name: orderItem.name,
+        requested: orderItem.quantity,
+        added: 0,
+        orderPrice: orderItem.price
+      };
+
+      if (!product || !product.isActive) {
+        lines.push({ ...line, status: 'dropped', reason: product ? 'inactive' : 'deleted' });
+        continue;
+      }
+
+      // Adds what fits after other shoppers' holds and what is already in
+      // the cart, in one atomic step
+      const available = await reservationService.getAvailableStock(product, reservationId);
+      const result = await redisService.addCartItem(
+        userId, productId, orderItem.quantity, product.price, available, { capped: true }
+      );
+      if (!result) {
+        throw httpError(503, 'Cart is temporarily unavailable');
+      }
+
+      const quantity = result.added;
+      itemCount = result.itemCount;
+
+      line.name = product.name;
+      line.price = product.price;
+
+      if (quantity < 1) {
+        lines.push({ ...line, status: 'dropped', reason: 'out_of_stock', available });
+        continue;
+      }
+
+      const changes = [];
+      if (quantity < orderItem.quantity) changes.push('quantity_reduced');
+      if (currencyService.priceOf(product, currency) !== orderItem.price) changes.push('price_changed');
+
+      lines.push({
+        ...line,
+        added: quantity,
+        status: changes.length > 0 ? 'changed' : 'added',
+        ...(changes.length > 0 ? { changes } : {}),
+        ...(quantity < orderItem.quantity ? { available } : {})
+      });
+    }
+
+    if (itemCount === null) {
+      const cart = await redisService.getCart(userId);
+      itemCount = cart ? cart.items.reduce((sum, item) => sum + item.quantity, 0) : 0;
+    }
+
+    return {
+      lines,
+      itemCount
+    };
+  }
+
+  // Track purchases in Neo4j once the order has committed
+  async trackPurchases(user, order) {
+    for (const item of order.items) {
+      try {
+        await neo4jService.createUserInteraction(
+          user._id.toString(),
+          item.product.toString(),
+          'PURCHASED',
+          Date.now()
+        );
+      } catch (neo4jError) {
+        console.error('Neo4j purchase tracking error:', neo4jError);
+      }
+    }
+  }
+}
+
+module.exports = new OrderService();
@@ -0,0 +1,653 @@
+const Order = require('../models/Order');
+const redisService = require('./redisService');
+const orderLifecycleService = require('./orderLifecycleService');
+const invoiceService = require('./invoiceService');
+const balanceService = require('./balanceService');
+const SimulatorProvider = require('./payments/simulatorProvider');
+const { httpError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+
+// Payment methods settled outside any gateway
+const OFFLINE_METHODS = ['cash_on_delivery'];
+
+// Where a refund can go: back through the order's payment method, or to the
+// customer's store credit
+const REFUND_DESTINATIONS = ['original', 'store_credit'];
+
+// paymentStatus each webhook event moves an order to
+const WEBHOOK_STATUS = {
+  'payment.authorized': 'authorized',
+  'payment.captured': 'paid',
+  'payment.failed': 'failed',
+  'payment.voided': 'voided'
+};
+
+// How a payment that lands after its order was cancelled is given back
+const LATE_PAYMENT_RELEASE = {
+  'payment.authorized': 'void',
+  'payment.captured': 'refund'
+};
+
+// Providers implement:
+//   authorize({ amount, currency, orderId, paymentDetails })
+//     -> { status: 'authorized' | 'pending' | 'declined', transactionId, message }
+//   capture({ transactionId, amount }) -> { status: 'captured' | 'failed', amount, reference, message }
+//   void({ transactionId })            -> { status: 'voided' | 'failed', reference, message }
+//   refund({ transactionId, amount })  -> { status: 'refunded' | 'failed', amount, reference, message }
+//   parseWebhook(rawBody, headers)     -> normalized event, or null if the signature or event is invalid
+// and throw on transport or processing errors.
+class PaymentService {
+  constructor() {
+    this.providers = {};
+
+    // The simulator approves any card, so production only gets it on request
+    if (process.env.NODE_ENV !== 'production' || process.env.PAYMENT_SIMULATOR_ENABLED === 'true') {
+      this.registerProvider(new SimulatorProvider());
+    }
+  }
+
+  registerProvider(provider) {
+    this.providers[provider.name] = provider;
+
+    // Providers that call back in-process (the simulator) use the same
+    // webhook path as HTTP callbacks
+    if (provider.onWebhook) {
+      provider.onWebhook((name, rawBody, headers) => this.handleWebhook(name, rawBody, headers));
+    }
+  }
+
+  // Payment methods that stay 'pending' until settled outside any gateway
+  getOfflineMethods() {
+    return [...OFFLINE_METHODS];
+  }
+
+  getProvider(name) {
+    const provider = this.providers[name];
+    if (!provider) {
+      throw httpError(404, `Unknown payment provider '${name}'`);
+    }
+    return provider;
+  }
+
+  // PAYMENT_PROVIDER_<METHOD> picks the gateway for one payment method,
+  // PAYMENT_PROVIDER the default for all of them. There is no built-in
+  // default, so a deploy cannot end up on the simulator by omission.
+  getProviderForMethod(paymentMethod) {
+    const name = process.env[`PAYMENT_PROVIDER_${paymentMethod.toUpperCase()}`] ||
+      process.env.PAYMENT_PROVIDER;
+    if (!name) {
+      throw httpError(503, `No payment provider is configured for ${paymentMethod}`);
+    }
+    return this.getProvider(name);
+  }
+
+  async loadOrder(orderId) {
+    const order = await Order.findById(orderId);
+    if (!order) {
+      throw httpError(404, 'Order not found');
+    }
+    return order;
+  }
+
+  // Record a provider call on the order and move paymentStatus if the result
+  // calls for it. Provider outcomes are always system transitions.
+  async recordResult(order, transaction, nextStatus, updateOrder) {
+    const changes = nextStatus && nextStatus !== order.paymentStatus ? { paymentStatus: nextStatus } : {};
+
+    return await orderLifecycleService.transition(order._id, changes, null, {
+      note: transaction.message,
+      update: async (updatedOrder, session) => {
+        if (updateOrder) {
+          await updateOrder(updatedOrder, session);
+        }
+        updatedOrder.payment.transactions.push(transaction);
+      }
+    });
+  }
+
+  // Wrap provider errors so they surface as 502s rather than 500s
+  async callProvider(provider, action, params) {
+    try {
+      return await provider[action](params);
+    } catch (error) {
+      if (error.status) throw error;
+      console.error(`Payment provider ${provider.name} ${action} error:`, error);
+      throw httpError(502, `Payment provider error: ${error.message}`);
+    }
+  }
+
+  async authorize(orderId, { paymentDetails, capture = false } = {}) {
+    const order = await this.loadOrder(orderId);
+
+    if (OFFLINE_METHODS.includes(order.paymentMethod)) {
+      throw httpError(400, `Orders paid by ${order.paymentMethod} are settled offline`);
+    }
+
+    if (!['pending', 'failed', 'voided'].includes(order.paymentStatus)) {
+      throw httpError(409, `Cannot authorize a payment that is ${order.paymentStatus}`);
+    }
+
+    if (order.orderStatus === 'cancelled') {
+      throw httpError(409, 'Cannot pay for a cancelled order');
+    }
+
+    const provider = this.getProviderForMethod(order.paymentMethod);
+    // Gift cards and store credit applied at checkout are already paid
+    const result = await this.callProvider(provider, 'authorize', {
+      amount: order.amountDue,
+      currency: order.currency.code,
+      orderId: order._id.toString(),
+      paymentDetails
+    });
+
+    const nextStatus = {
+      authorized: 'authorized',
+      declined: 'failed',
+      pending: order.paymentStatus === 'pending' ? undefined : 'pending'
+    }[result.status];
+
+    let updatedOrder = await this.recordResult(order, {
+      type: 'authorize',
+      status: result.status,
+      amount: order.amountDue,
+      reference: result.transactionId,
+      message: result.message
+    }, nextStatus, (updated) => {
+      updated.payment.provider = provider.name;
+      updated.payment.transactionId = result.transactionId;
+      updated.payment.amountAuthorized = result.status === 'authorized' ? order.amountDue : 0;
+      updated.payment.amountCaptured = 0;
+      updated.payment.amountRefunded = 0;
+    });
+
+    if (result.status === 'declined') {
+      throw httpError(402, result.message || 'Payment declined', { data: updatedOrder });
+    }
+
+    if (capture && result.status === 'authorized') {
+      updatedOrder = await this.capture(order._id);
+    }
+
+    return updatedOrder;
+  }
+
+  async capture(orderId, amount) {
+    const order = await this.loadOrder(orderId);
+
+    if (order.paymentStatus !== 'authorized') {
+      throw httpError(409, `Cannot capture a payment that is ${order.paymentStatus}`);
+    }
+
+    const provider = this.getProvider(order.payment.provider);
+    const result = await this.callProvider(provider, 'capture', {
+      transactionId: order.payment.transactionId,
+      amount
+    });
+
+    const updatedOrder = await this.recordResult(order, {
+      type: 'capture',
+      status: result.status,
+      amount: result.amount,
+      reference: result.reference,
+      message: result.message
+    }, result.status === 'captured' ? 'paid' : undefined, (updated) => {
+      if (result.status === 'captured') {
+        updated.payment.amountCaptured = result.amount;
+      }
+    });
+
+    if (result.status !== 'captured') {
+      throw httpError(402, result.message || 'Capture failed', { data: updatedOrder });
+    }
+
+    return updatedOrder;
+  }
+
+  async void(orderId) {
+    const order = await this.loadOrder(orderId);
+
+    if (order.paymentStatus !== 'authorized') {
+      throw httpError(409, `Cannot void a payment that is ${order.paymentStatus}`);
+    }
+
+    const provider = this.getProvider(order.payment.provider);
+    const result = await this.callProvider(provider, 'void', {
+      transactionId: order.payment.transactionId
+    });
+
+    const updatedOrder = await this.recordResult(order, {
+      type: 'void',
+      status: result.status,
+      reference: result.reference,
+      message: result.message
+    }, result.status === 'voided' ? 'voided' : undefined);
+
+    if (result.status !== 'voided') {
+      throw httpError(402, result.message || 'Void failed', { data: updatedOrder });
+    }
+
+    return updatedOrder;
+  }
+
+  // What has been paid for an order and can still be refunded, in total and
+  // back through the payment method. Money paid from gift cards or store
+  // credit can only be refunded to store credit. Refunds still pending with
+  // the provider count as refunded.
+  getRefundableAmounts(order) {
+    const offline = !order.payment || !order.payment.provider;
+    const paidByMethod = offline ? order.amountDue : order.payment.amountCaptured;
+    const paidByBalance = order.balancePayments
+      .reduce((sum, payment) => sum + payment.amount - payment.refunded, 0);
+    const pendingRefunds = order.payment?.pendingRefunds || [];
+    const refunded = (order.payment ? order.payment.amountRefunded : 0) +
+      pendingRefunds.reduce((sum, refund) => sum + refund.amount, 0);
+    const refundedToMethod = [...order.refunds, ...pendingRefunds]
+      .filter(refund => refund.method !== 'store_credit')
+      .reduce((sum, refund) => sum + refund.amount, 0);
+
+    const paid = roundMoney(paidByMethod + paidByBalance);
+    const refundable = roundMoney(paid - refunded);
+    return {
+      offline,
+      paid,
+      refundable,
+      refundableToMethod: roundMoney(Math.min(refundable, paidByMethod - refundedToMethod))
+    };
+  }
+
+  // Check a refund against what is left to refund and hold its amount in
+  // payment.pendingRefunds. Runs in the order's transaction, so concurrent
+  // refunds see each other's holds. Returns the pending refund.
+  reserveRefund(order, { amount, returnId, to, reason, user }) {
+    if (!['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+      throw httpError(409, `Cannot refund a payment that is ${order.paymentStatus}`);
+    }
+
+    if (returnId && [...order.refunds, ...order.payment.pendingRefunds]
+      .some(refund => refund.return && refund.return.equals(returnId))) {
+      throw httpError(409, 'This return has already been refunded');
+    }
+
+    const { refundable, refundableToMethod } = this.getRefundableAmounts(order);
+    const limit = to === 'store_credit' ? refundable : refundableToMethod;
+    const refundAmount = amount === undefined ? limit : roundMoney(amount);
+
+    if (!(refundAmount > 0) || refundAmount > limit) {
+      throw httpError(400, `Refund amount must be between 0 and ${limit}`, {
+        refundable,
+        refundableToPaymentMethod: refundableToMethod
+      });
+    }
+
+    order.payment.pendingRefunds.push({
+      amount: refundAmount,
+      method: to,
+      return: returnId,
+      reason,
+      actor: user?._id
+    });
+    return order.payment.pendingRefunds[order.payment.pendingRefunds.length - 1];
+  }
+
+  // Refund part or all of what was paid (defaults to what is left), either
+  // through the payment method or to store credit. Orders paid offline (no
+  // provider transaction) are refunded manually and only recorded here.
+  // Every refund is logged in order.refunds. The amount is held on the order
+  // while the provider is called, and released if the refund does not go
+  // through. A refund the provider made that then fails to be recorded keeps
+  // its hold, marked with the provider's reference, for settlePendingRefund.
+  async refund(orderId, { amount, reason, returnId, to = 'original', user } = {}) {
+    if (!REFUND_DESTINATIONS.includes(to)) {
+      throw httpError(400, `Refunds can go to: ${REFUND_DESTINATIONS.join(', ')}`);
+    }
+
+    let pending;
+    const order = await orderLifecycleService.transition(orderId, {}, null, {
+      update: (current) => {
+        pending = this.reserveRefund(current, { amount, returnId, to, reason, user });
+      }
+    });
+    const refundAmount = pending.amount;
+
+    const viaProvider = to !== 'store_credit' && Boolean(order.payment.provider);
+    let result;
+    try {
+      if (to === 'store_credit') {
+        result = { status: 'refunded', amount: refundAmount };
+      } else if (!viaProvider) {
+        result = { status: 'refunded', amount: refundAmount, reference: 'manual' };
+      } else {
+        result = await this.callProvider(this.getProvider(order.payment.provider), 'refund', {
+          transactionId: order.payment.transactionId,
+          amount: refundAmount
+        });
+      }
+    } catch (error) {
+      await this.releaseRefund(order, pending);
+      throw error;
+    }
+
+    const refunded = result.status === 'refunded';
+
+    if (refunded && viaProvider) {
+      await this.markRefundSent(order, pending, result);
+    }
+
+    let updatedOrder;
+    try {
+      updatedOrder = await this.recordRefund(order, pending, result);
+    } catch (error) {
+      // Money the provider has sent back stays held, so it cannot be refunded
+      // a second time and is recorded later; anything else can be retried
+      if (!refunded || !viaProvider) {
+        await this.releaseRefund(order, pending);
+      } else {
+        console.error(`Refund ${result.reference} for order ${order._id} was not recorded:`, error);
+      }
+      throw error;
+    }
+
+    if (!refunded) {
+      throw httpError(402, result.message || 'Refund failed', { data: updatedOrder });
+    }
+
+    return updatedOrder;
+  }
+
+  // Remember on the hold that the provider has refunded it. Failing to is
+  // only logged: the refund is recorded right after in any case.
+  async markRefundSent(order, pending, result) {
+    try {
+      await Order.updateOne(
+        { _id: order._id, 'payment.pendingRefunds._id': pending._id },
+        {
+          $set: {
+            'payment.pendingRefunds.$.reference': result.reference,
+            'payment.pendingRefunds.$.refundedAt': new Date()
+          }
+        }
+      );
+    } catch (error) {
+      console.error(`Mark refund ${result.reference} for order ${order._id} error:`, error);
+    }
+  }
+
+  // Record a refund's outcome and release its hold. A refund that went
+  // through is added to amountRefunded and order.refunds, with a credit note.
+  // The hold is checked in the transaction, so a refund is recorded once.
+  async recordRefund(order, pending, result) {
+    const refunded = result.status === 'refunded';
+    const refundAmount = pending.amount;
+    const { method: to, return: returnId, reason, actor } = pending;
+
+    return await this.recordResult(order, {
+      type: 'refund',
+      status: result.status,
+      amount: refundAmount,
+      reference: result.reference,
+      message: result.message || reason
+    }, undefined, async (updated, session) => {
+      if (!updated.payment.pendingRefunds.id(pending._id)) {
+        throw httpError(409, 'This refund has already been recorded');
+      }
+      updated.payment.pendingRefunds.pull(pending._id);
+      if (!refunded) return;
+
+      let reference = result.reference;
+      if (to === 'store_credit') {
+        const { entry } = await balanceService.creditStoreCredit(
+          updated.user,
+          refundAmount,
+          updated.currency.code,
+          { reason: 'refund', order: updated._id, returnId, note: reason, actor },
+          session
+        );
+        reference = entry._id.toString();
+      }
+
+      // Added to the order as it is now, which may include refunds recorded
+      // since this one was reserved
+      updated.payment.amountRefunded = roundMoney(updated.payment.amountRefunded + refundAmount);
+      updated.refunds.push({
+        amount: refundAmount,
+        reason,
+        return: returnId,
+        method: to,
+        reference
+      });
+      // Every refund is documented by a credit note against the invoice
+      await invoiceService.assignCreditNoteNumber(
+        updated,
+        updated.refunds[updated.refunds.length - 1],
+        session
+      );
+
+      const { paid } = this.getRefundableAmounts(updated);
+      await orderLifecycleService.applyTransition(
+        updated,
+        'paymentStatus',
+        updated.payment.amountRefunded >= paid ? 'refunded' : 'partially_refunded',
+        { user: null, note: result.message || reason, session }
+      );
+    });
+  }
+
+  // Record a refund the provider made but whose recording failed, from what
+  // its hold remembers. Used by the reconcile job and by retried return
+  // refunds.
+  async settlePendingRefund(orderId, holdId) {
+    const order = await this.loadOrder(orderId);
+    const hold = order.payment.pendingRefunds.id(holdId);
+
+    if (!hold || !hold.refundedAt) {
+      throw httpError(409, 'No refund made by the provider is waiting to be recorded');
+    }
+
+    return await this.recordRefund(order, hold, {
+      status: 'refunded',
+      amount: hold.amount,
+      reference: hold.reference,
+      message: hold.reason
+    });
+  }
+
+  async releaseRefund(order, pending) {
+    await Order.updateOne(
+      { _id: order._id },
+      { $pull: { 'payment.pendingRefunds': { _id: pending._id } } }
+    );
+  }
+
+  // How a cancelled order's payment is given back: an authorized payment is
+  // voided and a captured one refunded. Offline payments are left for an
+  // admin to refund by hand, and refunds already held count as given back.
+  getReleaseAction(order) {
+    if (order.payment.pendingRelease.late) return order.payment.pendingRelease.action;
+    if (order.paymentStatus === 'authorized') return 'void';
+
+    if (['paid', 'partially_refunded'].includes(order.paymentStatus) &&
+        order.payment.provider &&
+        this.getRefundableAmounts(order).refundableToMethod > 0) {
+      return 'refund';
+    }
+
+    return null;
+  }
+
+  // Give back what a cancelled order took through its payment method. A
+  // release that fails is flagged in payment.pendingRelease, with a failed
+  // transaction, for the reconcile job or an admin to retry. Returns the
+  // order and whether nothing is left to release.
+  async releaseCancelledOrder(order) {
+    const action = this.getReleaseAction(order);
+    let released = order;
+
+    try {
+      if (order.payment.pendingRelease.late) {
+        released = await this.releaseLatePayment(order);
+      } else if (action === 'void') {
+        released = await this.void(order._id);
+      } else if (action === 'refund') {
+        released = await this.refund(order._id, { reason: 'Order cancelled' });
+      }
+    } catch (error) {
+      console.error(`Release payment for cancelled order ${order._id} error:`, error);
+      return { order: await this.flagPendingRelease(order, action, error), released: false };
+    }
+
+    return { order: await this.clearPendingRelease(released), released: true };
+  }
+
+  async flagPendingRelease(order, action, error) {
+    try {
+      return await this.recordResult(order, {
+        type: action,
+        status: 'failed',
+        message: `Release on cancel failed: ${error.message}`
+      }, undefined, (updated) => {
+        updated.payment.pendingRelease.action = action;
+        updated.payment.pendingRelease.message = error.message;
+        updated.payment.pendingRelease.since = updated.payment.pendingRelease.since || new Date();
+      });
+    } catch (flagError) {
+      console.error(`Flag pending release for order ${order._id} error:`, flagError);
+      return order;
+    }
+  }
+
+  async clearPendingRelease(order) {
+    if (!order.payment.pendingRelease.action) return order;
+
+    try {
+      return await Order.findByIdAndUpdate(
+        order._id,
+        { $unset: { 'payment.pendingRelease': 1 } },
+        { new: true }
+      );
+    } catch (error) {
+      console.error(`Clear pending release for order ${order._id} error:`, error);
+      return order;
+    }
+  }
+
+  // Give back a payment that landed after its order was cancelled. The
+  // order's paymentStatus was left alone, so the provider is called directly
+  // for the amount the webhook reported.
+  async releaseLatePayment(order) {
+    const { action, amount } = order.payment.pendingRelease;
+    const result = await this.callProvider(this.getProvider(order.payment.provider), action, {
+      transactionId: order.payment.transactionId,
+      amount
+    });
+    const done = result.status === (action === 'void' ? 'voided' : 'refunded');
+
+    const updatedOrder = await this.recordResult(order, {
+      type: action,
+      status: result.status,
+      amount,
+      reference: result.reference,
+      message: result.message || 'Payment received after the order was cancelled'
+    });
+
+    if (!done) {
+      throw httpError(402, result.message || 'Release failed', { data: updatedOrder });
+    }
+
+    return updatedOrder;
+  }
+
+  // Retry a release that failed when its order was cancelled
+  async retryPendingRelease(orderId) {
+    const order = await this.loadOrder(orderId);
+
+    if (order.orderStatus !== 'cancelled' || !order.payment.pendingRelease.action) {
+      throw httpError(409, 'No payment release is pending for this order');
+    }
+
+    const { order: updatedOrder, released } = await this.releaseCancelledOrder(order);
+    if (!released) {
+      throw httpError(402, updatedOrder.payment.pendingRelease.message || 'Release failed', { data: updatedOrder });
+    }
+
+    return updatedOrder;
+  }
+
+  // Apply an asynchronous provider callback. Events are deduplicated by ID, so
+  // providers retrying a delivery do not apply it twice.
+  async handleWebhook(providerName, rawBody, headers) {
+    const provider = this.getProvider(providerName);
+    const event = provider.parseWebhook(rawBody, headers);
+
+    if (!event) {
+      throw httpError(400, 'Invalid webhook signature');
+    }
+
+    const client = redisService.getClient();
+    const eventKey = `webhook:${providerName}:${event.id}`;
+    if (client) {
+      const firstDelivery = await client.set(eventKey, '1', {
+        NX: true,
+        EX: 7 * 24 * 60 * 60 // 7 days
+      });
+      if (!firstDelivery) {
+        return { duplicate: true };
+      }
+    }
+
+    try {
+      return await this.applyWebhookEvent(event);
+    } catch (error) {
+      // Let the provider's retry go through
+      if (client) await client.del(eventKey);
+      throw error;
+    }
+  }
+
+  async applyWebhookEvent(event) {
+    const order = await Order.findOne({ 'payment.transactionId': event.transactionId });
+    if (!order) {
+      throw httpError(404, `No order for transaction ${event.transactionId}`);
+    }
+
+    const nextStatus = WEBHOOK_STATUS[event.type];
+    const allowed = nextStatus && orderLifecycleService
+      .getAllowedTransitions('paymentStatus', order.paymentStatus, 'system')
+      .includes(nextStatus);
+
+    // A payment that lands on a cancelled order is not taken: the event is
+    // kept, the status left alone and the money given back
+    const lateRelease = allowed && order.orderStatus === 'cancelled' && LATE_PAYMENT_RELEASE[event.type];
+    const applied = allowed && !lateRelease;
+
+    // Events that no longer apply (out of order, already handled) are kept
+    // on the order but leave the status alone
+    const updatedOrder = await this.recordResult(order, {
+      type: 'webhook',
+      status: event.type,
+      amount: event.amount,
+      reference: event.id,
+      message: event.message
+    }, applied ? nextStatus : undefined, (updated) => {
+      if (lateRelease) {
+        updated.payment.pendingRelease = {
+          action: lateRelease,
+          amount: event.amount,
+          late: true,
+          since: new Date()
+        };
+      }
+      if (!applied) return;
+      if (nextStatus === 'authorized') updated.payment.amountAuthorized = event.amount;
+      if (nextStatus === 'paid') updated.payment.amountCaptured = event.amount;
+    });
+
+    if (lateRelease) {
+      const { released } = await this.releaseCancelledOrder(updatedOrder);
+      return { duplicate: false, applied: false, released };
+    }
+
+    return { duplicate: false, applied: Boolean(applied) };
+  }
+}
+
+module.exports = new PaymentService();
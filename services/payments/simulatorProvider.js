@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { roundMoney } = require('../../utils/money');
+
+// Test card numbers and how the simulator treats them. Any other number is
+// approved synchronously.
+const TEST_CARDS = {
+  '4242424242424242': { outcome: 'approve' },
+  '4000000000000002': { outcome: 'decline', message: 'Card declined' },
+  '4000000000009995': { outcome: 'decline', message: 'Insufficient funds' },
+  '4000000000000069': { outcome: 'decline', message: 'Card expired' },
+  '4000000000000119': { outcome: 'error', message: 'Processing error' },
+  '4000000000003220': { outcome: 'async_approve' },
+  '4000000000000341': { outcome: 'async_decline', message: 'Card declined' }
+};
+
+// Local payment gateway that never leaves the process. Transactions are kept
+// in memory, and "asynchronous" outcomes are delivered later as signed
+// webhooks through the same handler real providers use.
+class SimulatorProvider {
+  constructor() {
+    this.name = 'simulator';
+    this.transactions = new Map();
+    // Without a configured secret only the simulator's own in-process
+    // webhooks verify, as the secret changes with every start
+    this.webhookSecret = process.env.PAYMENT_SIMULATOR_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+    this.webhookDelay = parseInt(process.env.PAYMENT_SIMULATOR_WEBHOOK_DELAY_MS) || 2000;
+    this.webhookHandler = null;
+  }
+
+  // The payment service registers how webhooks are delivered back to it
+  onWebhook(handler) {
+    this.webhookHandler = handler;
+  }
+
+  generateId(prefix) {
+    return `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+  }
+
+  sign(rawBody) {
+    return crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+  }
+
+  // Deliver a signed event after the configured delay
+  sendWebhook(type, data) {
+    const rawBody = JSON.stringify({
+      id: this.generateId('evt'),
+      type,
+      created: Date.now(),
+      data
+    });
+    const headers = { 'x-simulator-signature': this.sign(rawBody) };
+
+    setTimeout(async () => {
+      if (!this.webhookHandler) return;
+      try {
+        await this.webhookHandler(this.name, rawBody, headers);
+      } catch (error) {
+        console.error('Simulator webhook delivery error:', error);
+      }
+    }, this.webhookDelay);
+  }
+
+  getTransaction(transactionId) {
+    const transaction = this.transactions.get(transactionId);
+    if (!transaction) {
+      const error = new Error(`Unknown transaction ${transactionId}`);
+      error.code = 'unknown_transaction';
+      throw error;
+    }
+    return transaction;
+  }
+
+  async authorize({ amount, currency, orderId, paymentDetails = {} }) {
+    const cardNumber = (paymentDetails.cardNumber || '').replace(/\s+/g, '');
+    const card = TEST_CARDS[cardNumber] || { outcome: 'approve' };
+    const transactionId = this.generateId('sim');
+    const transaction = {
+      id: transactionId,
+      orderId,
+      amount,
+      currency,
+      captured: 0,
+      refunded: 0,
+      status: 'pending'
+    };
+
+    if (card.outcome === 'error') {
+      const error = new Error(card.message);
+      error.code = 'processing_error';
+      throw error;
+    }
+
+    this.transactions.set(transactionId, transaction);
+
+    if (card.outcome === 'decline') {
+      transaction.status = 'declined';
+      return { status: 'declined', transactionId, message: card.message };
+    }
+
+    if (card.outcome === 'async_approve' || card.outcome === 'async_decline') {
+      // The order only learns the outcome once the webhook arrives
+      const approved = card.outcome === 'async_approve';
+      transaction.status = approved ? 'authorized' : 'declined';
+      this.sendWebhook(approved ? 'payment.authorized' : 'payment.failed', {
+        transactionId,
+        orderId,
+        amount,
+        message: card.message
+      });
+      return { status: 'pending', transactionId, message: 'Awaiting confirmation' };
+    }
+
+    transaction.status = 'authorized';
+    return { status: 'authorized', transactionId };
+  }
+
+  async capture({ transactionId, amount }) {
+    const transaction = this.getTransaction(transactionId);
+
+    if (transaction.status !== 'authorized') {
+      return { status: 'failed', message: `Cannot capture a ${transaction.status} transaction` };
+    }
+
+    const captureAmount = amount === undefined ? transaction.amount : amount;
+    if (captureAmount > transaction.amount) {
+      return { status: 'failed', message: 'Capture amount exceeds authorization' };
+    }
+
+    transaction.status = 'captured';
+    transaction.captured = captureAmount;
+    return { status: 'captured', amount: captureAmount, reference: this.generateId('cap') };
+  }
+
+  async void({ transactionId }) {
+    const transaction = this.getTransaction(transactionId);
+
+    if (transaction.status !== 'authorized') {
+      return { status: 'failed', message: `Cannot void a ${transaction.status} transaction` };
+    }
+
+    transaction.status = 'voided';
+    return { status: 'voided', reference: this.generateId('void') };
+  }
+
+  async refund({ transactionId, amount }) {
+    const transaction = this.getTransaction(transactionId);
+
+    if (transaction.status !== 'captured') {
+      return { status: 'failed', message: `Cannot refund a ${transaction.status} transaction` };
+    }
+
+    if (roundMoney(transaction.refunded + amount) > transaction.captured) {
+      return { status: 'failed', message: 'Refund exceeds captured amount' };
+    }
+
+    transaction.refunded = roundMoney(transaction.refunded + amount);
+    return { status: 'refunded', amount, reference: this.generateId('ref') };
+  }
+
+  // Verify the signature and normalize the event for the payment service
+  parseWebhook(rawBody, headers) {
+    const signature = Buffer.from(String(headers['x-simulator-signature'] || ''));
+    const expected = Buffer.from(this.sign(rawBody));
+
+    // timingSafeEqual throws on buffers of different lengths
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+      return null;
+    }
+
+    const event = JSON.parse(rawBody);
+    if (!event || !event.data) {
+      return null;
+    }
+
+    return {
+      id: event.id,
+      type: event.type,
+      transactionId: event.data.transactionId,
+      amount: event.data.amount,
+      message: event.data.message
+    };
+  }
+}
+
+module.exports = SimulatorProvider;
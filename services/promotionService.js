@@ -0,0 +1,245 @@
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const { httpError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+
+class PromotionService {
+  // Accept a single code or a list, ignoring blanks and duplicates
+  normalizeCodes(codes) {
+    const list = Array.isArray(codes) ? codes : [codes];
+    return [...new Set(list
+      .filter(code => typeof code === 'string' && code.trim())
+      .map(code => code.trim().toUpperCase()))];
+  }
+
+  isEligibleLine(promotion, line) {
+    const categoryMatch = promotion.categories.length === 0 ||
+      promotion.categories.includes(line.category);
+    const productMatch = promotion.products.length === 0 ||
+      promotion.products.some(id => id.toString() === line.product.toString());
+    return categoryMatch && productMatch;
+  }
+
+  // Reason a promotion cannot be used for this cart, or null if it can
+  async getIneligibilityReason(promotion, { userId, lines, subtotal, rate = 1 }, session) {
+    const now = new Date();
+
+    if (!promotion.isActive) return 'This code is no longer active';
+    if (promotion.startsAt && promotion.startsAt > now) return 'This code is not active yet';
+    if (promotion.endsAt && promotion.endsAt < now) return 'This code has expired';
+
+    if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) {
+      return 'This code has reached its usage limit';
+    }
+
+    if (promotion.usageLimitPerUser && userId) {
+      const used = await PromotionRedemption.countDocuments({
+        promotion: promotion._id,
+        user: userId
+      }).session(session || null);
+
+      if (used >= promotion.usageLimitPerUser) {
+        return 'You have already used this code the maximum number of times';
+      }
+    }
+
+    const minSubtotal = roundMoney(promotion.minSubtotal * rate);
+    if (subtotal < minSubtotal) {
+      return `This code requires a subtotal of at least ${minSubtotal}`;
+    }
+
+    if (promotion.type !== 'free_shipping' && !lines.some(line => this.isEligibleLine(promotion, line))) {
+      return 'No items in your cart qualify for this code';
+    }
+
+    return null;
+  }
+
+  // Spread an amount over lines in proportion to their remaining value
+  allocate(amount, indexes, remaining) {
+    const base = indexes.reduce((sum, i) => sum + remaining[i], 0);
+    const shares = {};
+    if (base <= 0) return shares;
+
+    for (const i of indexes) {
+      shares[i] = amount * (remaining[i] / base);
+    }
+    return shares;
+  }
+
+  // Discount one promotion gives, per line, given what is left of each line
+  // after the promotions applied before it. Fixed amounts are in the base
+  // currency and are multiplied by `rate` for carts in another currency.
+  calculate(promotion, lines, remaining, shippingCost, rate = 1) {
+    const eligible = lines
+      .map((line, i) => i)
+      .filter(i => this.isEligibleLine(promotion, lines[i]) && remaining[i] > 0);
+    const eligibleTotal = eligible.reduce((sum, i) => sum + remaining[i], 0);
+
+    switch (promotion.type) {
+      case 'percentage': {
+        let amount = eligibleTotal * (promotion.value / 100);
+        if (promotion.maxDiscount !== undefined && promotion.maxDiscount !== null) {
+          amount = Math.min(amount, promotion.maxDiscount * rate);
+        }
+        return { lineDiscounts: this.allocate(amount, eligible, remaining), shippingDiscount: 0 };
+      }
+      case 'fixed_amount': {
+        const amount = Math.min(promotion.value * rate, eligibleTotal);
+        return { lineDiscounts: this.allocate(amount, eligible, remaining), shippingDiscount: 0 };
+      }
+      case 'free_shipping':
+        return { lineDiscounts: {}, shippingDiscount: shippingCost };
+      case 'buy_x_get_y': {
+        // Every (buy + get) eligible units, the cheapest `get` are discounted
+        const units = [];
+        for (const i of eligible) {
+          const unitValue = remaining[i] / lines[i].quantity;
+          for (let n = 0; n < lines[i].quantity; n++) {
+            units.push({ i, unitValue });
+          }
+        }
+        units.sort((a, b) => a.unitValue - b.unitValue);
+
+        const groupSize = promotion.buyQuantity + promotion.getQuantity;
+        const freeUnits = Math.floor(units.length / groupSize) * promotion.getQuantity;
+        const lineDiscounts = {};
+        for (const unit of units.slice(0, freeUnits)) {
+          lineDiscounts[unit.i] = (lineDiscounts[unit.i] || 0) +
+            unit.unitValue * (promotion.getDiscountPercent / 100);
+        }
+        return { lineDiscounts, shippingDiscount: 0 };
+      }
+      default:
+        return { lineDiscounts: {}, shippingDiscount: 0 };
+    }
+  }
+
+  // Work out the discount a set of codes gives on a cart.
+  // lines: [{ product, category, price, quantity }], priced in a currency
+  // `rate` units per unit of the base currency.
+  // Returns the item discount, shipping discount, their total, the promotions
+  // that applied (with their amounts), per-line discounts (by line index) and
+  // the codes that were rejected with a reason.
+  async evaluate(codes, { userId, lines, shippingCost = 0, rate = 1 }, session) {
+    const normalized = this.normalizeCodes(codes);
+    const result = {
+      itemDiscount: 0,
+      shippingDiscount: 0,
+      discount: 0,
+      applied: [],
+      rejected: [],
+      lineDiscounts: lines.map(() => 0)
+    };
+
+    if (normalized.length === 0) return result;
+
+    const promotions = await Promotion.find({ code: { $in: normalized } }).session(session || null);
+    const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    const remaining = lines.map(line => line.price * line.quantity);
+    let remainingShipping = shippingCost;
+
+    for (const code of normalized) {
+      const promotion = promotions.find(p => p.code === code);
+
+      if (!promotion) {
+        result.rejected.push({ code, reason: 'Unknown code' });
+        continue;
+      }
+
+      const reason = await this.getIneligibilityReason(promotion, { userId, lines, subtotal, rate }, session);
+      if (reason) {
+        result.rejected.push({ code, reason });
+        continue;
+      }
+
+      // Codes that are not combinable must be used alone
+      const conflicts = result.applied.length > 0 &&
+        (!promotion.combinable || result.applied.some(applied => !applied.combinable));
+      if (conflicts) {
+        result.rejected.push({ code, reason: 'This code cannot be combined with other codes' });
+        continue;
+      }
+
+      const { lineDiscounts, shippingDiscount } = this.calculate(promotion, lines, remaining, remainingShipping, rate);
+      let amount = 0;
+
+      for (const i of Object.keys(lineDiscounts)) {
+        const lineDiscount = Math.min(lineDiscounts[i], remaining[i]);
+        remaining[i] -= lineDiscount;
+        result.lineDiscounts[i] += lineDiscount;
+        amount += lineDiscount;
+      }
+
+      const appliedShipping = Math.min(shippingDiscount, remainingShipping);
+      remainingShipping -= appliedShipping;
+      amount += appliedShipping;
+
+      result.itemDiscount += amount - appliedShipping;
+      result.shippingDiscount += appliedShipping;
+      result.applied.push({
+        promotion: promotion._id,
+        code: promotion.code,
+        name: promotion.name,
+        type: promotion.type,
+        combinable: promotion.combinable,
+        amount: roundMoney(amount)
+      });
+    }
+
+    result.itemDiscount = roundMoney(result.itemDiscount);
+    result.shippingDiscount = roundMoney(result.shippingDiscount);
+    result.discount = roundMoney(result.itemDiscount + result.shippingDiscount);
+    result.lineDiscounts = result.lineDiscounts.map(roundMoney);
+
+    return result;
+  }
+
+  // Count the promotions applied to an order against their limits. Runs in
+  // the order's transaction; concurrent redemptions of the same code write to
+  // the same promotion document, so MongoDB serializes them.
+  async redeem(applied, { userId, orderId }, session) {
+    for (const entry of applied) {
+      const promotion = await Promotion.findOneAndUpdate(
+        {
+          _id: entry.promotion,
+          $or: [
+            { usageLimit: null },
+            { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+          ]
+        },
+        { $inc: { usageCount: 1 } },
+        { new: true, session }
+      );
+
+      if (!promotion) {
+        throw httpError(409, `Code ${entry.code} has reached its usage limit`);
+      }
+
+      await PromotionRedemption.create([{
+        promotion: entry.promotion,
+        user: userId,
+        order: orderId,
+        code: entry.code,
+        amount: entry.amount
+      }], { session });
+    }
+  }
+
+  // Give back the redemptions of a cancelled order
+  async release(orderId, session) {
+    const redemptions = await PromotionRedemption.find({ order: orderId }).session(session);
+
+    for (const redemption of redemptions) {
+      await Promotion.updateOne(
+        { _id: redemption.promotion, usageCount: { $gt: 0 } },
+        { $inc: { usageCount: -1 } },
+        { session }
+      );
+    }
+
+    await PromotionRedemption.deleteMany({ order: orderId }, { session });
+  }
+}
+
+module.exports = new PromotionService();
@@ -1,5 +1,249 @@
+const crypto = require('crypto');
 const { getRedisClient } = require('../config/database');
 
+// Stock holds live in two keys per product: a sorted set of reservation IDs
+// scored by expiry time (ms) and a hash of reservation ID -> quantity. Every
+// script first drops holds whose expiry has passed, so expired holds release
+// themselves without a sweeper.
+const PRUNE_EXPIRED_HOLDS = `
+  local expired = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+  if #expired > 0 then
+    redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+    redis.call('HDEL', KEYS[2], unpack(expired))
+  end
+`;
+
+// ARGV: now, reservationId to exclude ('' for none)
+const HELD_QUANTITY_SCRIPT = `${PRUNE_EXPIRED_HOLDS}
+  local held = 0
+  local quantities = redis.call('HGETALL', KEYS[2])
+  for i = 1, #quantities, 2 do
+    if quantities[i] ~= ARGV[2] then
+      held = held + tonumber(quantities[i + 1])
+    end
+  end
+  return held
+`;
+
+// ARGV: now, reservationId, quantity, stock, expiresAt
+// Returns { 1, available } when the hold was placed, { 0, available } if not
+const HOLD_STOCK_SCRIPT = `${PRUNE_EXPIRED_HOLDS}
+  local held = 0
+  local quantities = redis.call('HGETALL', KEYS[2])
+  for i = 1, #quantities, 2 do
+    if quantities[i] ~= ARGV[2] then
+      held = held + tonumber(quantities[i + 1])
+    end
+  end
+  local available = tonumber(ARGV[4]) - held
+  if available < tonumber(ARGV[3]) then
+    return { 0, available }
+  end
+  redis.call('ZADD', KEYS[1], ARGV[5], ARGV[2])
+  redis.call('HSET', KEYS[2], ARGV[2], ARGV[3])
+  local latest = redis.call('ZRANGE', KEYS[1], -1, -1, 'WITHSCORES')
+  redis.call('PEXPIREAT', KEYS[1], latest[2])
+  redis.call('PEXPIREAT', KEYS[2], latest[2])
+  return { 1, available - tonumber(ARGV[3]) }
+`;
+
+// Delete a lock only if it still holds our token, so a holder whose lock
+// expired cannot release the next holder's
+const RELEASE_LOCK_SCRIPT = `
+  if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+  end
+  return 0
+`;
+
+// A cart is a hash: one `item:{productId}` field per line holding JSON
+// { quantity, price, available, addedAt }, plus `coupons` (JSON array) and
+// `updatedAt`. Every write is one script, so concurrent requests cannot
+// overwrite each other's lines, and every access slides the TTL. Writes also
+// reschedule the cart in the `carts:idle` sorted set (KEYS[2]), which the
+// abandoned cart job reads. The prelude converts carts saved by earlier
+// versions as a single JSON string on first access, and defines helpers for
+// the scripts below.
+const CART_SCRIPT_PRELUDE = `
+  if redis.call('TYPE', KEYS[1]).ok == 'string' then
+    local old = cjson.decode(redis.call('GET', KEYS[1]))
+    redis.call('DEL', KEYS[1])
+    for i, item in ipairs(old.items or {}) do
+      redis.call('HSET', KEYS[1], 'item:' .. item.product,
+        cjson.encode({ quantity = item.quantity, price = item.price, addedAt = i }))
+    end
+    if type(old.coupons) == 'table' and #old.coupons > 0 then
+      redis.call('HSET', KEYS[1], 'coupons', cjson.encode(old.coupons))
+    end
+    redis.call('HSET', KEYS[1], 'updatedAt', ARGV[2])
+    redis.call('EXPIRE', KEYS[1], ARGV[1])
+    redis.call('ZADD', KEYS[2], ARGV[2], string.sub(KEYS[1], 6))
+  end
+  local function itemCount()
+    local count = 0
+    local fields = redis.call('HGETALL', KEYS[1])
+    for i = 1, #fields, 2 do
+      if string.sub(fields[i], 1, 5) == 'item:' then
+        count = count + cjson.decode(fields[i + 1]).quantity
+      end
+    end
+    return count
+  end
+  local function touch()
+    redis.call('HSET', KEYS[1], 'updatedAt', ARGV[2])
+    redis.call('EXPIRE', KEYS[1], ARGV[1])
+    redis.call('ZADD', KEYS[2], ARGV[2], string.sub(KEYS[1], 6))
+  end
+`;
+
+// ARGV: ttl, now, slide ('1'/'0'; background readers must not keep carts
+// alive)
+const GET_CART_SCRIPT = `${CART_SCRIPT_PRELUDE}
+  if redis.call('EXISTS', KEYS[1]) == 0 then
+    return {}
+  end
+  if ARGV[3] == '1' then
+    redis.call('EXPIRE', KEYS[1], ARGV[1])
+  end
+  return redis.call('HGETALL', KEYS[1])
+`;
+
+// ARGV: ttl, now, productId, quantity, price, maxQuantity, capped ('1'/'0')
+// Adds the quantity if the line stays within maxQuantity; when capped, adds
+// as much as fits instead. A new line remembers the price and maxQuantity
+// (the stock available then). Returns { added, lineQuantity, itemCount }.
+const ADD_CART_ITEM_SCRIPT = `${CART_SCRIPT_PRELUDE}
+  local field = 'item:' .. ARGV[3]
+  local current = redis.call('HGET', KEYS[1], field)
+  local item = current and cjson.decode(current)
+    or { quantity = 0, price = tonumber(ARGV[5]), available = tonumber(ARGV[6]), addedAt = tonumber(ARGV[2]) }
+  local added = tonumber(ARGV[4])
+  local room = tonumber(ARGV[6]) - item.quantity
+  if added > room then
+    if ARGV[7] ~= '1' then
+      return { 0, item.quantity, itemCount() }
+    end
+    added = math.max(room, 0)
+  end
+  if added > 0 then
+    item.quantity = item.quantity + added
+    redis.call('HSET', KEYS[1], field, cjson.encode(item))
+    touch()
+  end
+  return { added, item.quantity, itemCount() }
+`;
+
+// ARGV: ttl, now, productId, quantity, maxQuantity
+// Returns { status, itemCount }: 1 updated (0 removes the line), 0 over
+// maxQuantity, -1 not in the cart, -2 no cart
+const UPDATE_CART_ITEM_SCRIPT = `${CART_SCRIPT_PRELUDE}
+  if redis.call('EXISTS', KEYS[1]) == 0 then
+    return { -2, 0 }
+  end
+  local field = 'item:' .. ARGV[3]
+  local current = redis.call('HGET', KEYS[1], field)
+  if not current then
+    return { -1, itemCount() }
+  end
+  local quantity = tonumber(ARGV[4])
+  if quantity == 0 then
+    redis.call('HDEL', KEYS[1], field)
+  else
+    if quantity > tonumber(ARGV[5]) then
+      return { 0, itemCount() }
+    end
+    local item = cjson.decode(current)
+    item.quantity = quantity
+    redis.call('HSET', KEYS[1], field, cjson.encode(item))
+  end
+  touch()
+  return { 1, itemCount() }
+`;
+
+// ARGV: ttl, now, productId
+// Returns { status, itemCount }: 1 removed, -1 not in the cart, -2 no cart
+const REMOVE_CART_ITEM_SCRIPT = `${CART_SCRIPT_PRELUDE}
+  if redis.call('EXISTS', KEYS[1]) == 0 then
+    return { -2, 0 }
+  end
+  if redis.call('HDEL', KEYS[1], 'item:' .. ARGV[3]) == 0 then
+    return { -1, itemCount() }
+  end
+  touch()
+  return { 1, itemCount() }
+`;
+
+// ARGV: ttl, now, code...
+// Returns the codes that were not already applied
+const ADD_CART_COUPONS_SCRIPT = `${CART_SCRIPT_PRELUDE}
+  local coupons = cjson.decode(redis.call('HGET', KEYS[1], 'coupons') or '[]')
+  local added = {}
+  for i = 3, #ARGV do
+    local applied = false
+    for _, code in ipairs(coupons) do
+      if code == ARGV[i] then applied = true end
+    end
+    if not applied then
+      table.insert(coupons, ARGV[i])
+      table.insert(added, ARGV[i])
+    end
+  end
+  if #added > 0 then
+    redis.call('HSET', KEYS[1], 'coupons', cjson.encode(coupons))
+    touch()
+  end
+  return added
+`;
+
+// ARGV: ttl, now, code
+// Returns 1 if the code was removed, 0 if it was not applied
+const REMOVE_CART_COUPON_SCRIPT = `${CART_SCRIPT_PRELUDE}
+  local coupons = cjson.decode(redis.call('HGET', KEYS[1], 'coupons') or '[]')
+  for i, code in ipairs(coupons) do
+    if code == ARGV[3] then
+      table.remove(coupons, i)
+      if #coupons > 0 then
+        redis.call('HSET', KEYS[1], 'coupons', cjson.encode(coupons))
+      else
+        redis.call('HDEL', KEYS[1], 'coupons')
+      end
+      touch()
+      return 1
+    end
+  end
+  return 0
+`;
+
+// ARGV: ttl, now, then productId, price, available per line; an empty price
+// removes the line. Lines no longer in the cart are skipped.
+// Returns the itemCount.
+const REBASE_CART_ITEMS_SCRIPT = `${CART_SCRIPT_PRELUDE}
+  if redis.call('EXISTS', KEYS[1]) == 0 then
+    return 0
+  end
+  for i = 3, #ARGV, 3 do
+    local field = 'item:' .. ARGV[i]
+    local current = redis.call('HGET', KEYS[1], field)
+    if current then
+      if ARGV[i + 1] == '' then
+        redis.call('HDEL', KEYS[1], field)
+      else
+        local item = cjson.decode(current)
+        item.price = tonumber(ARGV[i + 1])
+        item.available = tonumber(ARGV[i + 2])
+        redis.call('HSET', KEYS[1], field, cjson.encode(item))
+      end
+    end
+  end
+  touch()
+  return itemCount()
+`;
+
+const CART_TTL_SECONDS = parseInt(process.env.CART_TTL_SECONDS) || 24 * 60 * 60;
+// Cart IDs scored by when the abandoned cart job should next look at them
+const IDLE_CARTS_KEY = 'carts:idle';
+const CART_ITEM_STATUS = { 1: 'updated', 0: 'insufficient_stock', '-1': 'not_in_cart', '-2': 'no_cart' };
+
 class RedisService {
   constructor() {
     this.client = null;
@@ -76,16 +320,340 @@ class RedisService {
   }
 
   // Cart operations
-  async setCart(userId, cartData, expireInSeconds = 86400) { // 24 hours
-    return await this.set(`cart:${userId}`, cartData, expireInSeconds);
+  // All return null when Redis is unavailable
+  async runCartScript(cartId, script, args) {
+    const client = this.getClient();
+    if (!client) return null;
+    return await client.eval(script, {
+      keys: [`cart:${cartId}`, IDLE_CARTS_KEY],
+      arguments: [CART_TTL_SECONDS.toString(), Date.now().toString(), ...args.map(String)]
+    });
+  }
+
+  // { items: [{ product, quantity, price, available }], coupons, updatedAt }
+  // with items in the order they were added, or null if there is no cart.
+  // slide: false reads without extending the cart's TTL.
+  async getCart(cartId, { slide = true } = {}) {
+    try {
+      const fields = await this.runCartScript(cartId, GET_CART_SCRIPT, [slide ? '1' : '0']);
+      if (!fields || fields.length === 0) return null;
+
+      const lines = [];
+      const cart = { items: [], coupons: [], updatedAt: null };
+      for (let i = 0; i < fields.length; i += 2) {
+        const [field, value] = [fields[i], fields[i + 1]];
+        if (field.startsWith('item:')) {
+          lines.push({ product: field.slice('item:'.length), ...JSON.parse(value) });
+        } else if (field === 'coupons') {
+          cart.coupons = JSON.parse(value);
+        } else if (field === 'updatedAt') {
+          cart.updatedAt = Number(value);
+        }
+      }
+
+      cart.items = lines
+        .sort((a, b) => a.addedAt - b.addedAt)
+        .map(({ product, quantity, price, available }) => ({ product, quantity, price, available }));
+      return cart;
+    } catch (error) {
+      console.error('Redis get cart error:', error);
+      return null;
+    }
+  }
+
+  // Add to a line, keeping the line within maxQuantity. With capped, adds as
+  // much as fits rather than nothing. A new line remembers the price and
+  // maxQuantity as the stock available when it was added.
+  async addCartItem(cartId, productId, quantity, price, maxQuantity, { capped = false } = {}) {
+    try {
+      const result = await this.runCartScript(cartId, ADD_CART_ITEM_SCRIPT, [
+        productId, quantity, price, maxQuantity, capped ? '1' : '0'
+      ]);
+      if (!result) return null;
+      const [added, lineQuantity, itemCount] = result.map(Number);
+      return { added, quantity: lineQuantity, itemCount };
+    } catch (error) {
+      console.error('Redis add cart item error:', error);
+      return null;
+    }
+  }
+
+  // Set a line's quantity (0 removes it) if it is within maxQuantity
+  async updateCartItem(cartId, productId, quantity, maxQuantity) {
+    try {
+      const result = await this.runCartScript(cartId, UPDATE_CART_ITEM_SCRIPT, [
+        productId, quantity, maxQuantity
+      ]);
+      if (!result) return null;
+      return { status: CART_ITEM_STATUS[result[0]], itemCount: Number(result[1]) };
+    } catch (error) {
+      console.error('Redis update cart item error:', error);
+      return null;
+    }
+  }
+
+  async removeCartItem(cartId, productId) {
+    try {
+      const result = await this.runCartScript(cartId, REMOVE_CART_ITEM_SCRIPT, [productId]);
+      if (!result) return null;
+      return { status: CART_ITEM_STATUS[result[0]], itemCount: Number(result[1]) };
+    } catch (error) {
+      console.error('Redis remove cart item error:', error);
+      return null;
+    }
+  }
+
+  // Reset what lines remember to the given price and available stock, and
+  // drop lines given with a null price. Returns the itemCount.
+  async rebaseCartItems(cartId, lines) {
+    try {
+      const args = lines.flatMap(line => line.price === null
+        ? [line.product, '', '']
+        : [line.product, line.price, line.available]);
+      const itemCount = await this.runCartScript(cartId, REBASE_CART_ITEMS_SCRIPT, args);
+      return itemCount === null ? null : Number(itemCount);
+    } catch (error) {
+      console.error('Redis rebase cart items error:', error);
+      return null;
+    }
+  }
+
+  // Returns the codes that were newly applied
+  async addCartCoupons(cartId, codes) {
+    if (codes.length === 0) return [];
+    try {
+      return await this.runCartScript(cartId, ADD_CART_COUPONS_SCRIPT, codes);
+    } catch (error) {
+      console.error('Redis add cart coupons error:', error);
+      return null;
+    }
+  }
+
+  // true if removed, false if the code was not applied
+  async removeCartCoupon(cartId, code) {
+    try {
+      const removed = await this.runCartScript(cartId, REMOVE_CART_COUPON_SCRIPT, [code]);
+      return removed === null ? null : removed === 1;
+    } catch (error) {
+      console.error('Redis remove cart coupon error:', error);
+      return null;
+    }
+  }
+
+  async deleteCart(cartId) {
+    try {
+      const client = this.getClient();
+      if (!client) return false;
+      await client.multi()
+        .del(`cart:${cartId}`)
+        .zRem(IDLE_CARTS_KEY, cartId)
+        .exec();
+      return true;
+    } catch (error) {
+      console.error('Redis delete cart error:', error);
+      return false;
+    }
+  }
+
+  // Carts due for an abandonment check: those scored at or before `before`
+  // (ms), oldest first, with their scores
+  async getIdleCarts(before, limit) {
+    try {
+      const client = this.getClient();
+      if (!client) return [];
+      const entries = await client.zRangeByScoreWithScores(IDLE_CARTS_KEY, '-inf', before, {
+        LIMIT: { offset: 0, count: limit }
+      });
+      return entries.map(entry => ({ cartId: entry.value, score: entry.score }));
+    } catch (error) {
+      console.error('Redis get idle carts error:', error);
+      return [];
+    }
+  }
+
+  // Look at a cart again at `score`; XX so a cart deleted meanwhile is not
+  // brought back
+  async rescheduleIdleCart(cartId, score) {
+    try {
+      const client = this.getClient();
+      if (!client) return false;
+      await client.zAdd(IDLE_CARTS_KEY, { score, value: cartId }, { XX: true });
+      return true;
+    } catch (error) {
+      console.error('Redis reschedule idle cart error:', error);
+      return false;
+    }
+  }
+
+  async removeIdleCart(cartId) {
+    try {
+      const client = this.getClient();
+      if (!client) return false;
+      await client.zRem(IDLE_CARTS_KEY, cartId);
+      return true;
+    } catch (error) {
+      console.error('Redis remove idle cart error:', error);
+      return false;
+    }
+  }
+
+  // Stock hold operations
+  holdKeys(productId) {
+    return [`holds:${productId}`, `holds:${productId}:qty`];
+  }
+
+  // Quantity of a product held by active reservations, optionally ignoring
+  // one reservation (the caller's own)
+  async getHeldQuantity(productId, excludeReservationId = '') {
+    try {
+      const client = this.getClient();
+      if (!client) return 0;
+      const held = await client.eval(HELD_QUANTITY_SCRIPT, {
+        keys: this.holdKeys(productId),
+        arguments: [Date.now().toString(), excludeReservationId || '']
+      });
+      return Number(held);
+    } catch (error) {
+      console.error('Redis held quantity error:', error);
+      return 0;
+    }
+  }
+
+  // Atomically place a hold if stock minus other active holds covers it
+  async holdStock(reservationId, productId, quantity, stock, expiresAt) {
+    try {
+      const client = this.getClient();
+      if (!client) return { held: true, available: stock - quantity };
+      const [held, available] = await client.eval(HOLD_STOCK_SCRIPT, {
+        keys: this.holdKeys(productId),
+        arguments: [
+          Date.now().toString(),
+          reservationId,
+          quantity.toString(),
+          stock.toString(),
+          expiresAt.toString()
+        ]
+      });
+      return { held: held === 1, available: Number(available) };
+    } catch (error) {
+      console.error('Redis hold stock error:', error);
+      return { held: true, available: stock - quantity }; // Don't block checkout if Redis fails
+    }
+  }
+
+  async releaseHold(reservationId, productId) {
+    try {
+      const client = this.getClient();
+      if (!client) return false;
+      const [zsetKey, hashKey] = this.holdKeys(productId);
+      await client.multi()
+        .zRem(zsetKey, reservationId)
+        .hDel(hashKey, reservationId)
+        .exec();
+      return true;
+    } catch (error) {
+      console.error('Redis release hold error:', error);
+      return false;
+    }
+  }
+
+  // Active holds on a product, for admin inspection
+  async getProductHolds(productId) {
+    try {
+      const client = this.getClient();
+      if (!client) return [];
+      const [zsetKey, hashKey] = this.holdKeys(productId);
+      const [entries, quantities] = await Promise.all([
+        client.zRangeByScoreWithScores(zsetKey, Date.now(), '+inf'),
+        client.hGetAll(hashKey)
+      ]);
+      return entries.map(entry => ({
+        reservationId: entry.value,
+        quantity: Number(quantities[entry.value] || 0),
+        expiresAt: new Date(entry.score)
+      }));
+    } catch (error) {
+      console.error('Redis get product holds error:', error);
+      return [];
+    }
+  }
+
+  // Reservation operations
+  async setReservation(reservationId, reservationData, expireInSeconds) {
+    return await this.set(`reservation:${reservationId}`, reservationData, expireInSeconds);
+  }
+
+  async getReservation(reservationId) {
+    return await this.get(`reservation:${reservationId}`);
+  }
+
+  async deleteReservation(reservationId) {
+    return await this.del(`reservation:${reservationId}`);
+  }
+
+  // Distributed locks
+  // Take a lock for at most ttl seconds. Returns a token to release it with,
+  // or null if another holder has it. Without Redis there is nothing to
+  // coordinate through, so the lock is granted.
+  async acquireLock(name, ttlSeconds) {
+    const token = crypto.randomUUID();
+    try {
+      const client = this.getClient();
+      if (!client) return token;
+      const acquired = await client.set(`lock:${name}`, token, {
+        NX: true,
+        EX: ttlSeconds
+      });
+      return acquired === 'OK' ? token : null;
+    } catch (error) {
+      console.error('Redis acquire lock error:', error);
+      return null;
+    }
+  }
+
+  async releaseLock(name, token) {
+    try {
+      const client = this.getClient();
+      if (!client) return false;
+      const released = await client.eval(RELEASE_LOCK_SCRIPT, {
+        keys: [`lock:${name}`],
+        arguments: [token]
+      });
+      return released === 1;
+    } catch (error) {
+      console.error('Redis release lock error:', error);
+      return false;
+    }
+  }
+
+  // Idempotency operations
+  // Claim a key for a request in flight: true if claimed, false if another
+  // request already holds it, null if Redis is unavailable
+  async claimIdempotencyKey(key, record, expireInSeconds) {
+    try {
+      const client = this.getClient();
+      if (!client) return null;
+      const claimed = await client.set(`idempotency:${key}`, JSON.stringify(record), {
+        NX: true,
+        EX: expireInSeconds
+      });
+      return claimed === 'OK';
+    } catch (error) {
+      console.error('Redis claim idempotency key error:', error);
+      return null;
+    }
+  }
+
+  async getIdempotencyRecord(key) {
+    return await this.get(`idempotency:${key}`);
   }
 
-  async getCart(userId) {
-    return await this.get(`cart:${userId}`);
+  async saveIdempotencyRecord(key, record, expireInSeconds) {
+    return await this.set(`idempotency:${key}`, record, expireInSeconds);
   }
 
-  async deleteCart(userId) {
-    return await this.del(`cart:${userId}`);
+  async releaseIdempotencyKey(key) {
+    return await this.del(`idempotency:${key}`);
   }
 
   // Product cache operations
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const Product = require('../models/Product');
+const redisService = require('./redisService');
+const { httpError } = require('../utils/httpError');
+
+const RESERVATION_TTL_SECONDS = parseInt(process.env.RESERVATION_TTL_SECONDS) || 900; // 15 minutes
+
+class ReservationService {
+  // Combine repeated lines for the same product
+  groupQuantities(items) {
+    const quantities = new Map();
+    for (const item of items) {
+      const productId = item.product.toString();
+      quantities.set(productId, (quantities.get(productId) || 0) + item.quantity);
+    }
+    return quantities;
+  }
+
+  // Hold the given quantities for a user while they check out. A user has at
+  // most one active reservation: starting a new checkout releases the old one.
+  async createReservation(userId, items) {
+    await this.releaseUserReservation(userId);
+
+    const quantities = this.groupQuantities(items);
+    const products = await Product.find({
+      _id: { $in: [...quantities.keys()] },
+      isActive: true
+    }).select('name stock');
+
+    const reservationId = crypto.randomUUID();
+    const expiresAt = Date.now() + RESERVATION_TTL_SECONDS * 1000;
+    const heldProducts = [];
+
+    for (const [productId, quantity] of quantities) {
+      const product = products.find(p => p._id.toString() === productId);
+
+      if (!product) {
+        await this.releaseHolds(reservationId, heldProducts);
+        throw httpError(404, `Product with ID ${productId} not found`);
+      }
+
+      const result = await redisService.holdStock(
+        reservationId,
+        productId,
+        quantity,
+        product.stock,
+        expiresAt
+      );
+
+      if (!result.held) {
+        await this.releaseHolds(reservationId, heldProducts);
+        throw httpError(409, `Insufficient stock for product ${product.name}`, {
+          product: product._id,
+          available: Math.max(result.available, 0),
+          requested: quantity
+        });
+      }
+
+      heldProducts.push(productId);
+    }
+
+    const reservation = {
+      id: reservationId,
+      user: userId,
+      items: [...quantities].map(([product, quantity]) => ({ product, quantity })),
+      expiresAt: new Date(expiresAt)
+    };
+
+    await redisService.setReservation(reservationId, reservation, RESERVATION_TTL_SECONDS);
+    await redisService.set(`reservation:user:${userId}`, reservationId, RESERVATION_TTL_SECONDS);
+
+    return reservation;
+  }
+
+  // Active reservation belonging to the user, or null
+  async getReservation(reservationId, userId) {
+    if (!reservationId) return null;
+
+    const reservation = await redisService.getReservation(reservationId);
+    if (!reservation || reservation.user !== userId) return null;
+
+    return reservation;
+  }
+
+  async getUserReservationId(userId) {
+    return await redisService.get(`reservation:user:${userId}`);
+  }
+
+  async releaseHolds(reservationId, productIds) {
+    for (const productId of productIds) {
+      await redisService.releaseHold(reservationId, productId);
+    }
+  }
+
+  // Drop a reservation and its holds, e.g. once its order committed and the
+  // held quantities became real stock decrements
+  async releaseReservation(reservation) {
+    await this.releaseHolds(reservation.id, reservation.items.map(item => item.product));
+    await redisService.deleteReservation(reservation.id);
+
+    const userReservationId = await this.getUserReservationId(reservation.user);
+    if (userReservationId === reservation.id) {
+      await redisService.del(`reservation:user:${reservation.user}`);
+    }
+  }
+
+  async releaseUserReservation(userId) {
+    const reservation = await this.getReservation(await this.getUserReservationId(userId), userId);
+    if (reservation) {
+      await this.releaseReservation(reservation);
+    }
+  }
+
+  // Stock minus quantities held by other shoppers' reservations
+  async getAvailableStock(product, excludeReservationId) {
+    const held = await redisService.getHeldQuantity(product._id.toString(), excludeReservationId);
+    return Math.max(product.stock - held, 0);
+  }
+
+  // Available stock for several products, keyed by product ID
+  async getAvailableStockMap(products, excludeReservationId) {
+    const available = {};
+    for (const product of products) {
+      available[product._id.toString()] = await this.getAvailableStock(product, excludeReservationId);
+    }
+    return available;
+  }
+}
+
+module.exports = new ReservationService();
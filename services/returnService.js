@@ -0,0 +1,332 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Return = require('../models/Return');
+const paymentService = require('./paymentService');
+const { httpError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 30;
+
+// Allowed return transitions (admin only): current state -> next states
+const TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received', 'rejected'],
+  received: ['refunding'],
+  // Claimed by a refund in progress; put back to received if it fails
+  refunding: ['refunded'],
+  rejected: [],
+  refunded: []
+};
+
+class ReturnService {
+  // Quantity of each order line already covered by returns that were not
+  // rejected, keyed by order item ID
+  async getReturnedQuantities(orderId, session) {
+    const returns = await Return.find({
+      order: orderId,
+      status: { $ne: 'rejected' }
+    }).session(session);
+
+    const quantities = {};
+    for (const ret of returns) {
+      for (const item of ret.items) {
+        const key = item.orderItem.toString();
+        quantities[key] = (quantities[key] || 0) + item.quantity;
+      }
+    }
+    return quantities;
+  }
+
+  // Open a return for some line items of a delivered order
+  async requestReturn(order, user, { items, note }) {
+    if (order.orderStatus !== 'delivered') {
+      throw httpError(409, 'Only delivered orders can be returned');
+    }
+
+    const deadline = new Date(order.deliveredAt || order.updatedAt);
+    deadline.setDate(deadline.getDate() + RETURN_WINDOW_DAYS);
+    if (Date.now() > deadline.getTime()) {
+      throw httpError(409, `The ${RETURN_WINDOW_DAYS}-day return window has closed`);
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw httpError(400, 'Return must contain at least one item');
+    }
+
+    const session = await mongoose.startSession();
+    let ret;
+
+    try {
+      await session.withTransaction(async () => {
+        const returned = await this.getReturnedQuantities(order._id, session);
+        const returnItems = [];
+
+        for (const item of items) {
+          const quantity = Number(item.quantity);
+          const orderItem = order.items.find(line =>
+            line._id.toString() === String(item.orderItem) ||
+            line.product.toString() === String(item.product)
+          );
+
+          if (!orderItem) {
+            throw httpError(400, `Item ${item.orderItem || item.product} is not part of this order`);
+          }
+
+          const key = orderItem._id.toString();
+          const remaining = orderItem.quantity - (returned[key] || 0);
+
+          if (!Number.isInteger(quantity) || quantity < 1 || quantity > remaining) {
+            throw httpError(400, `Quantity for ${orderItem.name} must be between 1 and ${remaining}`, {
+              orderItem: orderItem._id,
+              returnable: remaining
+            });
+          }
+
+          returned[key] = (returned[key] || 0) + quantity;
+          returnItems.push({
+            orderItem: orderItem._id,
+            product: orderItem.product,
+            name: orderItem.name,
+            price: orderItem.price,
+            quantity,
+            reason: item.reason
+          });
+        }
+
+        [ret] = await Return.create([{
+          order: order._id,
+          user: order.user,
+          items: returnItems,
+          customerNote: note,
+          statusHistory: [{ to: 'requested', actor: user._id, note }]
+        }], { session });
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw httpError(400, error.message);
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    return ret;
+  }
+
+  // Move a return to its next state, running the state's side effects in the
+  // same transaction
+  async transition(returnId, nextState, user, { note, session, apply } = {}) {
+    const ret = await Return.findById(returnId).session(session);
+
+    if (!ret) {
+      throw httpError(404, 'Return not found');
+    }
+
+    if (!TRANSITIONS[ret.status].includes(nextState)) {
+      throw httpError(409, `Cannot change return from '${ret.status}' to '${nextState}'`, {
+        current: ret.status,
+        allowed: TRANSITIONS[ret.status]
+      });
+    }
+
+    if (apply) {
+      await apply(ret);
+    }
+
+    ret.statusHistory.push({ from: ret.status, to: nextState, actor: user._id, note });
+    ret.status = nextState;
+    ret[`${nextState}At`] = new Date();
+
+    await ret.save({ session });
+    return ret;
+  }
+
+  async runInTransaction(work) {
+    const session = await mongoose.startSession();
+    let result;
+
+    try {
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    return result;
+  }
+
+  async approve(returnId, user, note) {
+    return await this.runInTransaction(session =>
+      this.transition(returnId, 'approved', user, { note, session })
+    );
+  }
+
+  async reject(returnId, user, note) {
+    return await this.runInTransaction(session =>
+      this.transition(returnId, 'rejected', user, { note, session })
+    );
+  }
+
+  // Goods arrived back at the warehouse: put them back in stock
+  async receive(returnId, user, note) {
+    return await this.runInTransaction(session =>
+      this.transition(returnId, 'received', user, {
+        note,
+        session,
+        apply: async (ret) => {
+          for (const item of ret.items) {
+            await Product.updateOne(
+              { _id: item.product },
+              { $inc: { stock: item.quantity } },
+              { session }
+            );
+          }
+        }
+      })
+    );
+  }
+
+  // A line's share of the order's promotion discounts. Orders placed before
+  // lines kept theirs spread the order's discount over the subtotal.
+  getLineDiscount(line, order) {
+    if (typeof line.discount === 'number') return line.discount;
+    return order.subtotal > 0 ? order.discount * (line.price * line.quantity / order.subtotal) : 0;
+  }
+
+  // Default refund: what was paid for the returned goods, i.e. their value
+  // less their share of the discounts, plus their share of the tax. Refunds
+  // to the payment method leave out the part of the order paid from gift
+  // cards and store credit, which can only go back to store credit.
+  getDefaultRefundAmount(ret, order, to = 'original') {
+    let itemsValue = 0;
+    for (const item of ret.items) {
+      const line = order.items.id(item.orderItem);
+      const discount = line ? this.getLineDiscount(line, order) * (item.quantity / line.quantity) : 0;
+      itemsValue += Math.max(item.price * item.quantity - discount, 0);
+    }
+
+    const netSubtotal = order.items.reduce(
+      (sum, line) => sum + Math.max(line.price * line.quantity - this.getLineDiscount(line, order), 0),
+      0
+    );
+    const taxShare = netSubtotal > 0 ? order.tax * (itemsValue / netSubtotal) : 0;
+    let amount = itemsValue + taxShare;
+
+    if (to !== 'store_credit' && order.balanceApplied > 0 && order.total > 0) {
+      amount *= 1 - Math.min(order.balanceApplied / order.total, 1);
+    }
+
+    return roundMoney(amount);
+  }
+
+  // The refund an order has recorded for a return, and the one it holds
+  // while the provider is called or until it is recorded
+  findOrderRefund(order, returnId) {
+    const forReturn = refund => refund.return && refund.return.equals(returnId);
+
+    return {
+      recorded: order.refunds.find(forReturn),
+      held: order.payment.pendingRefunds.find(forReturn)
+    };
+  }
+
+  // Record a refund the provider made for a return but that was not recorded
+  // on the order. Returns the order as it is afterwards.
+  async settleHeldRefund(order, held) {
+    try {
+      return await paymentService.settlePendingRefund(order._id, held._id);
+    } catch (error) {
+      // Recorded meanwhile, e.g. by the reconcile job
+      if (error.status !== 409) throw error;
+      return await Order.findById(order._id);
+    }
+  }
+
+  // Put a claimed return back to 'received' after its refund failed, unless
+  // the order holds or has recorded a refund for it: a retry completes those
+  async releaseClaim(ret, user, error) {
+    const order = await Order.findById(ret.order);
+    if (order) {
+      const { recorded, held } = this.findOrderRefund(order, ret._id);
+      if (recorded || held) return;
+    }
+
+    // Not a transition admins can trigger, so receiving does not run again
+    await Return.updateOne({ _id: ret._id, status: 'refunding' }, {
+      $set: { status: 'received' },
+      $push: {
+        statusHistory: {
+          from: 'refunding',
+          to: 'received',
+          actor: user._id,
+          note: `Refund failed: ${error.message}`.slice(0, 500)
+        }
+      }
+    });
+  }
+
+  // Refund a received return through the order's payment provider (or to
+  // store credit) and record the amount against the order. The return is
+  // claimed (received -> refunding) before any money moves, so concurrent or
+  // retried calls cannot refund it twice. Calling this again on a return
+  // left 'refunding' completes it with the refund the order already has for
+  // it, recording one the provider made if needed, rather than refunding.
+  async refund(returnId, user, { amount, note, to } = {}) {
+    const current = await Return.findById(returnId);
+
+    if (!current) {
+      throw httpError(404, 'Return not found');
+    }
+
+    const ret = current.status === 'refunding'
+      ? current
+      : await this.runInTransaction(session =>
+        this.transition(returnId, 'refunding', user, { note, session })
+      );
+
+    let order = await Order.findById(ret.order);
+    let { recorded, held } = this.findOrderRefund(order, ret._id);
+
+    if (!recorded && held) {
+      if (!held.refundedAt) {
+        throw httpError(409, 'A refund for this return is already in progress');
+      }
+      order = await this.settleHeldRefund(order, held);
+      ({ recorded } = this.findOrderRefund(order, ret._id));
+    }
+
+    if (!recorded) {
+      try {
+        order = await paymentService.refund(order._id, {
+          amount: amount === undefined
+            ? this.getDefaultRefundAmount(ret, order, to)
+            : roundMoney(amount),
+          reason: `Return ${ret.rmaNumber}`,
+          returnId: ret._id,
+          to,
+          user
+        });
+      } catch (error) {
+        await this.releaseClaim(ret, user, error);
+        throw error;
+      }
+      ({ recorded } = this.findOrderRefund(order, ret._id));
+    }
+
+    const refundedReturn = await this.runInTransaction(session =>
+      this.transition(returnId, 'refunded', user, {
+        note,
+        session,
+        apply: async (doc) => {
+          doc.refundAmount = recorded.amount;
+        }
+      })
+    );
+
+    return { return: refundedReturn, order };
+  }
+}
+
+module.exports = new ReturnService();
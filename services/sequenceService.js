@@ -0,0 +1,69 @@
+const Counter = require('../models/Counter');
+
+// Document number formats. Tokens: {YYYY}, {YY}, {MM}, {DD} (UTC date of
+// issue) and {SEQ} or {SEQ:n} (counter, zero-padded to n digits). A format
+// with date tokens gets a counter per period, so 'ORD-{YYYY}-{SEQ:6}'
+// restarts at 000001 every year.
+const FORMATS = {
+  order: process.env.ORDER_NUMBER_FORMAT || 'ORD-{YYYY}-{SEQ:6}',
+  invoice: process.env.INVOICE_NUMBER_FORMAT || 'INV-{SEQ:6}',
+  credit_note: process.env.CREDIT_NOTE_NUMBER_FORMAT || 'CN-{SEQ:6}',
+  return: process.env.RETURN_NUMBER_FORMAT || 'RMA-{YYYY}-{SEQ:6}'
+};
+
+const TOKEN = /\{(YYYY|YY|MM|DD|SEQ)(?::(\d+))?\}/g;
+
+for (const [name, format] of Object.entries(FORMATS)) {
+  if (!/\{SEQ(:\d+)?\}/.test(format)) {
+    throw new Error(`Number format for ${name} must contain {SEQ}: ${format}`);
+  }
+}
+
+class SequenceService {
+  dateTokens(date) {
+    const yyyy = date.getUTCFullYear().toString();
+    return {
+      YYYY: yyyy,
+      YY: yyyy.slice(2),
+      MM: (date.getUTCMonth() + 1).toString().padStart(2, '0'),
+      DD: date.getUTCDate().toString().padStart(2, '0')
+    };
+  }
+
+  // Counter name for a sequence on a date: the sequence name plus the date
+  // tokens its format uses
+  counterName(name, date) {
+    const tokens = this.dateTokens(date);
+    const period = [...FORMATS[name].matchAll(TOKEN)]
+      .map(match => match[1])
+      .filter(token => token !== 'SEQ')
+      .map(token => tokens[token])
+      .join('');
+
+    return period ? `${name}:${period}` : name;
+  }
+
+  format(name, seq, date) {
+    const tokens = this.dateTokens(date);
+    return FORMATS[name].replace(TOKEN, (match, token, width) => {
+      if (token !== 'SEQ') return tokens[token];
+      return width ? seq.toString().padStart(parseInt(width), '0') : seq.toString();
+    });
+  }
+
+  // Next number of a sequence. The increment is a single atomic update, so
+  // concurrent callers always get distinct numbers. Pass a session to tie it
+  // to a transaction (no gaps, but concurrent transactions conflict on the
+  // counter and retry); without one a rolled-back caller leaves a gap.
+  async next(name, session) {
+    if (!FORMATS[name]) {
+      throw new Error(`Unknown sequence: ${name}`);
+    }
+
+    const date = new Date();
+    const seq = await Counter.next(this.counterName(name, date), session);
+    return this.format(name, seq, date);
+  }
+}
+
+module.exports = new SequenceService();
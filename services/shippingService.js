@@ -0,0 +1,137 @@
+const ShippingZone = require('../models/ShippingZone');
+const currencyService = require('./currencyService');
+const { httpError } = require('../utils/httpError');
+const { roundMoney } = require('../utils/money');
+
+// Offered when no zone covers the address, so a store without any zones
+// configured keeps a flat rate
+const DEFAULT_SHIPPING_RATE = process.env.DEFAULT_SHIPPING_RATE !== undefined
+  ? parseFloat(process.env.DEFAULT_SHIPPING_RATE)
+  : 10;
+const DEFAULT_FREE_SHIPPING_THRESHOLD = process.env.DEFAULT_FREE_SHIPPING_THRESHOLD !== undefined
+  ? parseFloat(process.env.DEFAULT_FREE_SHIPPING_THRESHOLD)
+  : 100;
+
+class ShippingService {
+  // Most specific active zone covering the address, or null
+  async getZone(address, session) {
+    const country = (address.country || 'US').trim().toUpperCase();
+    const zones = await ShippingZone.find({ countries: country, isActive: true }).session(session || null);
+
+    let best = null;
+    let bestScore = -1;
+    for (const zone of zones) {
+      const score = zone.matchScore(address);
+      if (score > bestScore) {
+        best = zone;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  // Sum of max(actual, dimensional) weight over all units, in kg
+  getBillableWeight(lines, dimDivisor) {
+    const weight = lines.reduce((sum, line) => {
+      const { length, width, height } = line.dimensions || {};
+      const dimWeight = length && width && height ? (length * width * height) / dimDivisor : 0;
+      return sum + Math.max(line.weight || 0, dimWeight) * line.quantity;
+    }, 0);
+
+    return Math.round(weight * 1000) / 1000;
+  }
+
+  // Price of one method for a billable weight, or null if it cannot carry it
+  getMethodPrice(method, billableWeight, subtotal) {
+    if (method.freeShippingThreshold !== undefined && method.freeShippingThreshold !== null &&
+        subtotal >= method.freeShippingThreshold) {
+      return 0;
+    }
+
+    const tiers = [...method.rates].sort((a, b) => a.maxWeight - b.maxWeight);
+    const tier = tiers.find(rate => billableWeight <= rate.maxWeight);
+    if (tier) return tier.price;
+
+    const heaviest = tiers[tiers.length - 1];
+    if (!heaviest || method.additionalPerKg === undefined || method.additionalPerKg === null) {
+      return null;
+    }
+
+    const extraKg = Math.ceil(billableWeight - heaviest.maxWeight);
+    return roundMoney(heaviest.price + extraKg * method.additionalPerKg);
+  }
+
+  // Shipping options for some lines ([{ price, quantity, weight, dimensions }])
+  // going to an address, cheapest first. Rates, thresholds and line prices
+  // are in the base currency; pass a currency to get the prices in it.
+  async quote({ lines, shippingAddress, currency }, session) {
+    const options = await this.quoteBase({ lines, shippingAddress }, session);
+    if (!currency) return options;
+
+    return options.map(option => ({
+      ...option,
+      price: currencyService.convert(option.price, currency),
+      currency: currency.code
+    }));
+  }
+
+  async quoteBase({ lines, shippingAddress }, session) {
+    const subtotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    const zone = await this.getZone(shippingAddress, session);
+
+    if (!zone) {
+      return [{
+        code: 'standard',
+        name: 'Standard Shipping',
+        carrier: null,
+        zone: null,
+        price: subtotal > DEFAULT_FREE_SHIPPING_THRESHOLD ? 0 : DEFAULT_SHIPPING_RATE,
+        billableWeight: this.getBillableWeight(lines, 5000)
+      }];
+    }
+
+    const options = [];
+    for (const method of zone.methods) {
+      if (!method.isActive) continue;
+
+      const billableWeight = this.getBillableWeight(lines, method.dimDivisor);
+      const price = this.getMethodPrice(method, billableWeight, subtotal);
+      if (price === null) continue;
+
+      options.push({
+        code: method.code,
+        name: method.name,
+        carrier: method.carrier,
+        zone: zone.name,
+        price,
+        billableWeight,
+        estimatedDays: method.minDays !== undefined || method.maxDays !== undefined
+          ? { min: method.minDays, max: method.maxDays }
+          : undefined
+      });
+    }
+
+    return options.sort((a, b) => a.price - b.price);
+  }
+
+  // The option the shopper picked, defaulting to the cheapest
+  async selectMethod({ lines, shippingAddress, shippingMethod, currency }, session) {
+    const options = await this.quote({ lines, shippingAddress, currency }, session);
+
+    if (options.length === 0) {
+      throw httpError(400, 'No shipping method can deliver this order to the given address');
+    }
+
+    if (!shippingMethod) return options[0];
+
+    const selected = options.find(option => option.code === String(shippingMethod).toLowerCase());
+    if (!selected) {
+      throw httpError(400, `Shipping method '${shippingMethod}' is not available for this address`, {
+        available: options.map(option => option.code)
+      });
+    }
+    return selected;
+  }
+}
+
+module.exports = new ShippingService();
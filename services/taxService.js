@@ -0,0 +1,81 @@
+const TaxRule = require('../models/TaxRule');
+const { roundMoney } = require('../utils/money');
+
+// Rate applied when no rule matches the shipping address, so a store
+// without any rules configured keeps the flat 8%
+const DEFAULT_TAX_RATE = process.env.DEFAULT_TAX_RATE !== undefined
+  ? parseFloat(process.env.DEFAULT_TAX_RATE)
+  : 0.08;
+
+class TaxService {
+  // Active rules matching an address, broadest jurisdiction first
+  async getMatchingRules(address, session) {
+    const country = (address.country || 'US').trim().toUpperCase();
+    const rules = await TaxRule.find({ country, isActive: true }).session(session || null);
+
+    const specificity = rule => (rule.state ? 1 : 0) + (rule.zipPrefix || '').length;
+
+    return rules
+      .filter(rule => rule.matches(address))
+      .sort((a, b) => specificity(a) - specificity(b));
+  }
+
+  // Tax for an order. lines: [{ category, price, quantity }] with the
+  // promotion discount of each line in lineDiscounts (same order).
+  // Returns the total tax and one breakdown entry per jurisdiction.
+  async calculate({ lines, lineDiscounts = [], shippingAddress, shippingCost = 0, shippingDiscount = 0 }, session) {
+    const rules = await this.getMatchingRules(shippingAddress, session);
+    const taxableLines = lines.map((line, i) => ({
+      category: line.category,
+      amount: Math.max(line.price * line.quantity - (lineDiscounts[i] || 0), 0)
+    }));
+    const taxableShipping = Math.max(shippingCost - shippingDiscount, 0);
+
+    if (rules.length === 0) {
+      const taxableAmount = taxableLines.reduce((sum, line) => sum + line.amount, 0);
+      const amount = roundMoney(taxableAmount * DEFAULT_TAX_RATE);
+      return {
+        tax: amount,
+        breakdown: amount > 0
+          ? [{ name: 'Default', rate: DEFAULT_TAX_RATE, taxableAmount: roundMoney(taxableAmount), amount }]
+          : []
+      };
+    }
+
+    const breakdown = rules.map(rule => {
+      let taxableAmount = 0;
+      let amount = 0;
+
+      for (const line of taxableLines) {
+        const rate = rule.rateFor(line.category);
+        if (rate > 0) {
+          taxableAmount += line.amount;
+          amount += line.amount * rate;
+        }
+      }
+
+      if (rule.taxShipping && taxableShipping > 0) {
+        taxableAmount += taxableShipping;
+        amount += taxableShipping * rule.rate;
+      }
+
+      return {
+        rule: rule._id,
+        name: rule.name,
+        country: rule.country,
+        state: rule.state,
+        zipPrefix: rule.zipPrefix,
+        rate: rule.rate,
+        taxableAmount: roundMoney(taxableAmount),
+        amount: roundMoney(amount)
+      };
+    });
+
+    return {
+      tax: roundMoney(breakdown.reduce((sum, entry) => sum + entry.amount, 0)),
+      breakdown
+    };
+  }
+}
+
+module.exports = new TaxService();
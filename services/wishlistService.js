@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Wishlist = require('../models/Wishlist');
+const Product = require('../models/Product');
+const redisService = require('./redisService');
+const reservationService = require('./reservationService');
+const currencyService = require('./currencyService');
+const neo4jService = require('./neo4jService');
+const { httpError } = require('../utils/httpError');
+
+const MAX_LISTS_PER_USER = 20;
+const MAX_ITEMS_PER_LIST = 200;
+const DEFAULT_LIST_NAME = 'Saved for later';
+const VISIBILITIES = ['private', 'shared'];
+
+const PRODUCT_FIELDS = 'name price prices originalPrice images stock category isActive';
+
+class WishlistService {
+  generateShareToken() {
+    return crypto.randomBytes(18).toString('base64url');
+  }
+
+  async save(list) {
+    try {
+      return await list.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw httpError(400, error.message);
+      }
+      throw error;
+    }
+  }
+
+  async getLists(userId) {
+    return await Wishlist.find({ user: userId }).sort({ isDefault: -1, createdAt: 1 });
+  }
+
+  // A list the user owns
+  async getOwnList(userId, listId) {
+    const list = mongoose.isValidObjectId(listId) ? await Wishlist.findById(listId) : null;
+
+    if (!list) {
+      throw httpError(404, 'Wishlist not found');
+    }
+
+    if (list.user.toString() !== userId.toString()) {
+      throw httpError(403, 'Access denied');
+    }
+
+    return list;
+  }
+
+  // The list save-for-later uses when none is given, created on first use
+  async getDefaultList(userId) {
+    return await Wishlist.findOneAndUpdate(
+      { user: userId, isDefault: true },
+      { $setOnInsert: { name: DEFAULT_LIST_NAME, visibility: 'private', items: [] } },
+      { new: true, upsert: true }
+    );
+  }
+
+  async createList(userId, { name, visibility = 'private' }) {
+    if (!VISIBILITIES.includes(visibility)) {
+      throw httpError(400, `Visibility must be one of: ${VISIBILITIES.join(', ')}`);
+    }
+
+    const count = await Wishlist.countDocuments({ user: userId });
+    if (count >= MAX_LISTS_PER_USER) {
+      throw httpError(400, `You can have at most ${MAX_LISTS_PER_USER} wishlists`);
+    }
+
+    const list = new Wishlist({
+      user: userId,
+      name,
+      visibility,
+      shareToken: visibility === 'shared' ? this.generateShareToken() : undefined
+    });
+    return await this.save(list);
+  }
+
+  // Rename a list or change who can see it. Sharing issues a new link;
+  // making the list private again turns the old link off.
+  async updateList(list, { name, visibility }) {
+    if (name !== undefined) list.name = name;
+
+    if (visibility !== undefined) {
+      if (!VISIBILITIES.includes(visibility)) {
+        throw httpError(400, `Visibility must be one of: ${VISIBILITIES.join(', ')}`);
+      }
+
+      if (visibility === 'shared' && !list.shareToken) {
+        list.shareToken = this.generateShareToken();
+      } else if (visibility === 'private') {
+        list.shareToken = undefined;
+      }
+      list.visibility = visibility;
+    }
+
+    return await this.save(list);
+  }
+
+  async addItem(user, list, productId, { note } = {}) {
+    const product = mongoose.isValidObjectId(productId) ? await Product.findById(productId) : null;
+    if (!product || !product.isActive) {
+      throw httpError(404, 'Product not found or not available');
+    }
+
+    const existing = list.items.find(item => item.product.toString() === product._id.toString());
+    if (existing) {
+      if (note !== undefined) existing.note = note;
+      return await this.save(list);
+    }
+
+    if (list.items.length >= MAX_ITEMS_PER_LIST) {
+      throw httpError(400, `A wishlist can hold at most ${MAX_ITEMS_PER_LIST} items`);
+    }
+
+    list.items.push({ product: product._id, note, priceWhenAdded: product.price });
+    await this.save(list);
+
+    // Recommendations use wishlisted products like viewed ones
+    try {
+      await neo4jService.createUserInteraction(
+        user._id.toString(),
+        product._id.toString(),
+        'WISHLISTED',
+        Date.now()
+      );
+    } catch (neo4jError) {
+      console.error('Neo4j wishlist tracking error:', neo4jError);
+    }
+
+    return list;
+  }
+
+  async removeItem(list, productId) {
+    const index = list.items.findIndex(item => item.product.toString() === productId);
+    if (index === -1) {
+      throw httpError(404, 'Item not found in wishlist');
+    }
+
+    list.items.splice(index, 1);
+    return await this.save(list);
+  }
+
+  // Put a wishlist item in the cart and take it off the list
+  async moveToCart(user, list, productId, quantity = 1) {
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw httpError(400, 'Quantity must be a positive whole number');
+    }
+
+    if (!list.items.some(item => item.product.toString() === productId)) {
+      throw httpError(404, 'Item not found in wishlist');
+    }
+
+    const product = await Product.findById(productId);
+    if (!product || !product.isActive) {
+      throw httpError(404, 'Product not found or not available');
+    }
+
+    const userId = user._id.toString();
+    const reservationId = await reservationService.getUserReservationId(userId);
+    const available = await reservationService.getAvailableStock(product, reservationId);
+
+    const result = await redisService.addCartItem(userId, productId, quantity, product.price, available);
+    if (!result) {
+      throw httpError(503, 'Cart is temporarily unavailable');
+    }
+
+    if (result.added === 0) {
+      throw httpError(400, 'Cannot add more items than available in stock');
+    }
+
+    await this.removeItem(list, productId);
+    return { list, itemCount: result.itemCount };
+  }
+
+  // Move a cart line to a wishlist (the default list unless one is given)
+  async saveForLater(user, productId, listId) {
+    const userId = user._id.toString();
+    const cart = await redisService.getCart(userId);
+    if (!cart || !cart.items.some(item => item.product === productId)) {
+      throw httpError(404, 'Item not found in cart');
+    }
+
+    const list = listId
+      ? await this.getOwnList(userId, listId)
+      : await this.getDefaultList(userId);
+
+    await this.addItem(user, list, productId);
+
+    const result = await redisService.removeCartItem(userId, productId);
+    if (!result) {
+      throw httpError(503, 'Cart is temporarily unavailable');
+    }
+
+    return { list, itemCount: result.itemCount };
+  }
+
+  // A list with its products priced in the shopper's currency. Products that
+  // were removed from the catalog stay on the list as unavailable.
+  async present(list, currency) {
+    await list.populate('items.product', PRODUCT_FIELDS);
+    const data = list.toObject();
+
+    data.items = list.items.map(item => {
+      const product = item.product && item.product._id ? item.product : null;
+      return {
+        product: product ? currencyService.localizeProduct(product, currency) : null,
+        note: item.note,
+        addedAt: item.addedAt,
+        priceDropped: Boolean(product && item.priceWhenAdded > product.price),
+        available: Boolean(product && product.isActive && product.stock > 0)
+      };
+    });
+    data.itemCount = data.items.length;
+
+    return data;
+  }
+
+  // What anyone with the link sees: no owner details beyond their name
+  async getSharedList(token, currency) {
+    const list = typeof token === 'string'
+      ? await Wishlist.findOne({ shareToken: token, visibility: 'shared' }).populate('user', 'name')
+      : null;
+
+    if (!list) {
+      throw httpError(404, 'Wishlist not found');
+    }
+
+    const data = await this.present(list, currency);
+    const items = data.items.filter(item => item.product && item.product.isActive);
+
+    return {
+      name: data.name,
+      owner: list.user ? list.user.name : undefined,
+      items: items.map(({ product, note, addedAt, available }) => ({ product, note, addedAt, available })),
+      itemCount: items.length,
+      updatedAt: data.updatedAt
+    };
+  }
+}
+
+module.exports = new WishlistService();
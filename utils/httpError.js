@@ -0,0 +1,23 @@
+// Build an Error carrying an HTTP status so services can signal client errors
+// (stock conflicts, invalid input) that routes and the global error handler
+// turn into a JSON response instead of a generic 500.
+const httpError = (status, message, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+// Send an httpError as the usual { success: false, message } payload
+const sendHttpError = (res, error) => {
+  return res.status(error.status).json({
+    success: false,
+    message: error.message,
+    ...error.details
+  });
+};
+
+module.exports = {
+  httpError,
+  sendHttpError
+};
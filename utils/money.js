@@ -0,0 +1,11 @@
+// Currency product prices and order amounts are stored in unless an order
+// records another
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+// Round a monetary amount to cents, avoiding floating point drift in totals
+const roundMoney = (amount) => Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+
+module.exports = {
+  BASE_CURRENCY,
+  roundMoney
+};